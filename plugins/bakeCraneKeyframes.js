@@ -0,0 +1,69 @@
+import { Buffer } from 'node:buffer'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { PNG } from 'pngjs'
+import * as THREE from 'three'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { sampleCraneKeyframes, encodeCraneKeyframes } from '../src/utils/craneKeyframes.js'
+
+// GLTFLoader decodes images through the DOM, so embedded PNGs are decoded here
+// into DataTextures instead (the sampler reads their pixels for particle colours).
+// Other image types are skipped - they're only needed for colours.
+const decodeTextures = (parser) => ({
+    name: 'decode-textures',
+    loadTexture(textureIndex) {
+        const { json } = parser
+        const source = json.images[json.textures[textureIndex].source]
+        if (source.bufferView === undefined || source.mimeType !== 'image/png') {
+            return Promise.resolve(null)
+        }
+
+        return parser.getDependency('bufferView', source.bufferView).then((bufferView) => {
+            const png = PNG.sync.read(Buffer.from(bufferView))
+            const texture = new THREE.DataTexture(new Uint8Array(png.data), png.width, png.height)
+            texture.flipY = false
+            return texture
+        })
+    }
+})
+
+function parseGLTF(buffer) {
+    const loader = new GLTFLoader()
+    loader.register(decodeTextures)
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+    return loader.parseAsync(arrayBuffer, '')
+}
+
+/**
+ * Samples the crane model's animation at build time and emits the particle
+ * keyframes as a binary asset next to the model, so production never skins
+ * the mesh on the main thread. Dev keeps sampling at runtime.
+ *
+ * @param {{ model: string, output: string }} options paths relative to publicDir
+ */
+export default function bakeCraneKeyframes({ model, output }) {
+    let publicDir
+
+    return {
+        name: 'bake-crane-keyframes',
+        apply: 'build',
+
+        configResolved(config) {
+            publicDir = config.publicDir
+        },
+
+        async generateBundle() {
+            const gltf = await parseGLTF(await readFile(path.join(publicDir, model)))
+            const data = sampleCraneKeyframes(gltf)
+            if (!data) {
+                this.error(`Could not sample crane keyframes from ${model}`)
+            }
+
+            this.emitFile({
+                type: 'asset',
+                fileName: output,
+                source: new Uint8Array(encodeCraneKeyframes(data))
+            })
+        }
+    }
+}
@@ -0,0 +1,105 @@
+import path from 'node:path'
+import { normalizePath } from 'vite'
+import { validateExperienceConfig as validate } from '../src/config/experienceSchema.js'
+
+// Object in the content module holding each section's copy, keyed by section id
+const CONTENT_MAP = 'SECTION_CONTENT'
+
+// Keys of the top-level `const SECTION_CONTENT = { ... }` in a module's AST, or null
+function contentMapIds(ast) {
+    for (const node of ast.body) {
+        const declaration = node.type === 'ExportNamedDeclaration' ? node.declaration : node
+        if (declaration?.type !== 'VariableDeclaration') continue
+
+        const declarator = declaration.declarations.find((d) => d.id.name === CONTENT_MAP)
+        if (declarator?.init?.type !== 'ObjectExpression') continue
+
+        return declarator.init.properties
+            .filter((property) => property.type === 'Property')
+            .map((property) => property.key.name ?? String(property.key.value))
+    }
+    return null
+}
+
+/**
+ * Validates the experience config against its schema whenever the app loads it, and checks
+ * that the content module has copy for exactly the config's sections - fails the build, and
+ * shows the problems in the dev server's error overlay on every edit, instead of a typo
+ * silently leaving a section without its states or its copy.
+ *
+ * @param {{ config: string, content: string }} options paths relative to the project root -
+ * content is the module whose SECTION_CONTENT object maps section ids to their copy
+ */
+export default function validateExperienceConfig({ config, content }) {
+    let configPath
+    let contentPath
+    // Section ids last seen in each file, compared whenever either changes
+    const sectionIds = { config: null, content: null }
+
+    const configResolved = (resolved) => {
+        configPath = normalizePath(path.resolve(resolved.root, config))
+        contentPath = normalizePath(path.resolve(resolved.root, content))
+    }
+    const isFile = (id, file) => normalizePath(id.split('?')[0]) === file
+
+    function compareSections(context) {
+        if (!sectionIds.config || !sectionIds.content) return
+
+        const problems = [
+            ...sectionIds.config
+                .filter((id) => !sectionIds.content.includes(id))
+                .map((id) => `section "${id}" has no copy in ${CONTENT_MAP}`),
+            ...sectionIds.content
+                .filter((id) => !sectionIds.config.includes(id))
+                .map((id) => `${CONTENT_MAP} has copy for "${id}", which isn't a section in ${config}`)
+        ]
+        if (problems.length) {
+            context.error(`${config} and ${content} list different sections:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`)
+        }
+    }
+
+    return [
+        {
+            name: 'validate-experience-config',
+            // Runs before Vite's own JSON plugin turns the file into a module
+            enforce: 'pre',
+            configResolved,
+
+            transform(code, id) {
+                if (!isFile(id, configPath)) return null
+
+                let parsed
+                try {
+                    parsed = JSON.parse(code)
+                } catch (error) {
+                    this.error(`not valid JSON: ${error.message}`)
+                }
+
+                const errors = validate(parsed)
+                if (errors.length) {
+                    this.error(`${errors.length} problem${errors.length > 1 ? 's' : ''}:\n${errors.map((error) => `  - ${error}`).join('\n')}`)
+                }
+
+                sectionIds.config = parsed.sections.map((section) => section.id)
+                compareSections(this)
+                return null
+            }
+        },
+        {
+            name: 'validate-experience-content',
+            configResolved,
+
+            // Runs after JSX is compiled, so the module parses as plain JavaScript
+            transform(code, id) {
+                if (!isFile(id, contentPath)) return null
+
+                const ids = contentMapIds(this.parse(code))
+                if (!ids) this.error(`no top-level ${CONTENT_MAP} object found`)
+
+                sectionIds.content = ids
+                compareSections(this)
+                return null
+            }
+        }
+    ]
+}
@@ -1,4 +1,4 @@
-import React, { useState, useRef, useCallback } from 'react'
+import React, { useState, useRef, useCallback, lazy, Suspense } from 'react'
 import { gsap } from 'gsap'
 import { ScrollTrigger } from 'gsap/ScrollTrigger'
 import Experience from './components/Canvas/Experience'
@@ -10,9 +10,18 @@ gsap.registerPlugin(ScrollTrigger)
 
 const AUDIO_URL = '/audio/background_music.mp3'
 
+// State table tuning overlay - dev builds only, toggled with ` or opened by ?debug
+const TuningPanel = import.meta.env.DEV ? lazy(() => import('./components/UI/TuningPanel')) : null
+
+// How the visuals follow the sections:
+// 'transition' tweens to a section's state when it becomes active, with the config's
+// transition duration and ease; 'scrub' (opt-in) blends adjacent section states
+// continuously with the scroll position instead, so that timing isn't used
+const STATE_BLENDING = 'transition'
+
 function App() {
   const [entered, setEntered] = useState(false)
-  const [, toggle] = useAudio(AUDIO_URL)
+  const [, toggle, audioAnalyser] = useAudio(AUDIO_URL)
   const experienceRef = useRef()
 
   const handleEnter = () => {
@@ -22,11 +31,17 @@ function App() {
   }
 
   const handleSectionChange = useCallback((sectionId) => {
-    if (experienceRef.current) {
+    if (STATE_BLENDING === 'transition' && experienceRef.current) {
       experienceRef.current.transitionToState(sectionId)
     }
   }, [])
 
+  const handleSectionProgress = useCallback((fromId, toId, t) => {
+    if (experienceRef.current) {
+      experienceRef.current.blendStates(fromId, toId, t)
+    }
+  }, [])
+
   return (
     <>
       {!entered && <EnterScreen onEnter={handleEnter} />}
@@ -42,11 +57,22 @@ function App() {
         transition: 'opacity 2s ease-in-out',
         zIndex: 1
       }}>
-        <Experience ref={experienceRef} />
+        <Experience ref={experienceRef} active={entered} audio={audioAnalyser} />
       </div>
 
       {/* Content Sections Overlay with scroll driver */}
-      {entered && <ContentSections onSectionChange={handleSectionChange} />}
+      {entered && (
+        <ContentSections
+          onSectionChange={handleSectionChange}
+          onSectionProgress={STATE_BLENDING === 'scrub' ? handleSectionProgress : undefined}
+        />
+      )}
+
+      {TuningPanel && (
+        <Suspense fallback={null}>
+          <TuningPanel experienceRef={experienceRef} />
+        </Suspense>
+      )}
     </>
   )
 }
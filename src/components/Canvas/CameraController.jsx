@@ -0,0 +1,88 @@
+import React, { useRef, forwardRef, useImperativeHandle } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import gsap from 'gsap'
+import { SECTIONS, TRANSITION, sectionStates } from '../../config/experience'
+
+// Camera shot for each section, from src/config/experience.json
+// position = camera position, lookAt = point it aims at, fov = vertical field of view (degrees),
+// orbit = sway around the lookAt point (radians either side), dolly = push in and out along the view (world units)
+const cameraShots = sectionStates('camera')
+// Where everything starts - the first section
+const initialState = cameraShots[SECTIONS[0].id]
+
+// Radians per second through the orbit / dolly cycle
+const MOTION_SPEED = 0.25
+
+const shotValues = (shot) => ({
+    position: new THREE.Vector3(...shot.position),
+    lookAt: new THREE.Vector3(...shot.lookAt),
+    fov: shot.fov,
+    orbit: shot.orbit,
+    dolly: shot.dolly
+})
+
+// Frames the scene per section - tweened on section changes or blended with the scroll
+const CameraController = forwardRef((props, ref) => {
+    // Current shot - tweened or blended here, applied to the camera every frame
+    const shot = useRef(shotValues(initialState))
+    const frameObjects = useRef({ position: new THREE.Vector3(), offset: new THREE.Vector3(), from: new THREE.Vector3(), to: new THREE.Vector3() })
+
+    useFrame((state) => {
+        const { camera, clock } = state
+        const s = shot.current
+        const { position, offset } = frameObjects.current
+        const phase = clock.elapsedTime * MOTION_SPEED
+
+        // Orbit swings the camera around the target, dolly moves it along the line of sight
+        offset.subVectors(s.position, s.lookAt)
+        offset.applyAxisAngle(THREE.Object3D.DEFAULT_UP, Math.sin(phase) * s.orbit)
+        offset.multiplyScalar(1 + (Math.sin(phase * 0.7) * s.dolly) / Math.max(offset.length(), 0.001))
+        position.addVectors(s.lookAt, offset)
+
+        camera.position.copy(position)
+        camera.lookAt(s.lookAt)
+
+        if (camera.fov !== s.fov) {
+            camera.fov = s.fov
+            camera.updateProjectionMatrix()
+        }
+    })
+
+    useImperativeHandle(ref, () => ({
+        transitionToState: (stateName) => {
+            const target = cameraShots[stateName]
+            if (!target) return
+
+            const s = shot.current
+            const [x, y, z] = target.position
+            const [lx, ly, lz] = target.lookAt
+            gsap.killTweensOf([s, s.position, s.lookAt])
+            gsap.to(s.position, { x, y, z, duration: TRANSITION.duration, ease: 'power2.inOut' })
+            gsap.to(s.lookAt, { x: lx, y: ly, z: lz, duration: TRANSITION.duration, ease: 'power2.inOut' })
+            gsap.to(s, { fov: target.fov, orbit: target.orbit, dolly: target.dolly, duration: TRANSITION.duration, ease: 'power2.inOut' })
+        },
+
+        // Set the shot directly between two sections (t = 0 -> from, 1 -> to)
+        blendStates: (fromName, toName, t) => {
+            const from = cameraShots[fromName]
+            const to = cameraShots[toName]
+            if (!from || !to) return
+
+            const s = shot.current
+            const f = frameObjects.current
+            gsap.killTweensOf([s, s.position, s.lookAt])
+            s.position.lerpVectors(f.from.fromArray(from.position), f.to.fromArray(to.position), t)
+            s.lookAt.lerpVectors(f.from.fromArray(from.lookAt), f.to.fromArray(to.lookAt), t)
+            s.fov = THREE.MathUtils.lerp(from.fov, to.fov, t)
+            s.orbit = THREE.MathUtils.lerp(from.orbit, to.orbit, t)
+            s.dolly = THREE.MathUtils.lerp(from.dolly, to.dolly, t)
+        }
+    }))
+
+    return null
+})
+
+CameraController.displayName = 'CameraController'
+
+export default CameraController
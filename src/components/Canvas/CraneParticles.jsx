@@ -1,208 +1,314 @@
-import React, { useRef, useMemo, useEffect, forwardRef, useImperativeHandle } from 'react'
+import React, { useRef, useMemo, useEffect, useCallback, forwardRef, useImperativeHandle } from 'react'
 import { useFrame, useThree, useLoader } from '@react-three/fiber'
 import * as THREE from 'three'
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
 import gsap from 'gsap'
-
-// Crane state definitions for each section
+import { ScrollTrigger } from 'gsap/ScrollTrigger'
+import { CraneKeyframeLoader } from '../../utils/CraneKeyframeLoader'
+import { createKeyframeTexture, KEYFRAME_TEXTURE_WIDTH, CRANE_SPAN } from '../../utils/craneKeyframes'
+import { useQuality } from '../../hooks/useQuality'
+import { createFlightPath } from '../../utils/flightPath'
+import { createSheetUvs } from '../../utils/sheetMapping'
+import { simulationShader } from '../../utils/ParticleSimulation'
+import { useParticleSimulation } from '../../hooks/useParticleSimulation'
+import { useMotionTrail } from '../../hooks/useMotionTrail'
+import { useAudioReactive, createAudioUniforms } from '../../hooks/useAudioReactive'
+import { shockwaveShader, createShockwaveUniforms, createShockwaveEmitter } from '../../utils/shockwaves'
+import { pointerInteractionShader, createPointerUniforms, tweenPointerUniforms, blendPointerUniforms, createWakeTrail } from '../../utils/pointerInteraction'
+import { SECTIONS, TRANSITION, sectionStates } from '../../config/experience'
+import '../../utils/shaderChunks'
+
+gsap.registerPlugin(ScrollTrigger)
+
+// Crane state definitions for each section, from src/config/experience.json
 // hero & cta have low dispersion to show crane shape, middle sections are clouds
 // scale = crane shape size, particleSize handled separately in shader
-const craneStates = {
-    hero: { visible: true, animationSpeed: 1.8, scale: 40.8, opacity: 0.85, dispersion: 0.05, noiseIntensity: 0.02, position: [0, 0.2, -2], rotation: [0.8, -0.5, 0.15] },
-    problem: { visible: true, animationSpeed: 1.5, scale: 29.4, opacity: 0.55, dispersion: 0.4, noiseIntensity: 0.1, position: [-0.5, 0, -2.5], rotation: [0.7, -0.3, 0.1] },
-    team: { visible: true, animationSpeed: 2.0, scale: 32.6, opacity: 0.7, dispersion: 0.3, noiseIntensity: 0.08, position: [0, 0.2, -2], rotation: [0.75, -0.4, 0.12] },
-    philosophy: { visible: true, animationSpeed: 1.2, scale: 35.9, opacity: 0.6, dispersion: 0.55, noiseIntensity: 0.18, position: [0.3, 0.5, -2.5], rotation: [0.85, -0.6, 0.2] },
-    services: { visible: true, animationSpeed: 1.5, scale: 29.4, opacity: 0.5, dispersion: 0.45, noiseIntensity: 0.14, position: [0, 0.2, -2.5], rotation: [0.7, -0.4, 0.1] },
-    process: { visible: true, animationSpeed: 1.8, scale: 29.4, opacity: 0.6, dispersion: 0.35, noiseIntensity: 0.1, position: [0.5, 0.3, -2], rotation: [0.75, -0.35, 0.12] },
-    quote: { visible: true, animationSpeed: 1.0, scale: 32.6, opacity: 0.5, dispersion: 0.65, noiseIntensity: 0.22, position: [0, 0.6, -3], rotation: [0.8, -0.5, 0.15] },
-    cta: { visible: true, animationSpeed: 2.0, scale: 45.7, opacity: 0.9, dispersion: 0.05, noiseIntensity: 0.02, position: [0, 0.1, -1.5], rotation: [0.8, -0.5, 0.15] }
-}
-
-// Number of keyframes to sample from the animation
-const KEYFRAME_COUNT = 30
-// Maximum particles to use (performance consideration)
-const MAX_PARTICLES = 45630
+// clip = baked animation from CRANE_CLIPS - hero glides (a held pose, so no animationSpeed), cta flaps hard
+// colorAmount = 0 monochrome .. 1 real plumage from the baseColor texture
+// position/rotation = flight path waypoints scrubbed by scroll, via = extra path points towards the next section
+// pointer = interaction mode, radius and strength (see POINTER_MODES)
+// audio = how strongly the music moves it (0 = ignores it) - bass disperses, highs glitter, beats pulse
+// trail = motion streaks: length = seconds a streak lasts (0 = none), decay = linear fade per second clearing the faint tail
+const craneStates = sectionStates('crane')
+// Where everything starts - the first section
+const initialState = craneStates[SECTIONS[0].id]
+// Playback speed of a state's clip - held clips have none
+const clipSpeed = (state) => state.animationSpeed ?? 0
+
+// Intro reveal choreographies, picked by the reveal prop's `style`:
+// scatter = converge from a noisy cloud, spiral = unwind inwards, sweep = wingtip to wingtip,
+// drop = fall in from above, helix = gather off the helix strands, fold = origami fold from a paper sheet
+const REVEAL_STYLES = ['scatter', 'spiral', 'sweep', 'drop', 'helix', 'fold']
+// duration in seconds, ease = any gsap ease
+const DEFAULT_REVEAL = { style: 'scatter', duration: 3, ease: 'power2.out' }
+// Layout of the hero helix the 'helix' style gathers from - pass the helix's own settings
+// through the helix prop so the crane assembles off strands that are really there
+const DEFAULT_HELIX = { strandCount: 5, verticalRange: 20, thickness: 0.3 }
+
+// Seed for the sheet uv -> crane surface mapping used by the origami fold
+const SHEET_SEED = 7
+
+// World direction the authored state rotations face (up-left) when the crane isn't moving
+const REST_HEADING = new THREE.Vector3(-1, 1, 0).normalize()
+// How far the crane turns from its authored rotation towards the flight direction (0-1)
+const HEADING_INFLUENCE = 0.6
+
+// GPU physics when the simulation prop is set - a stiffer spring and lighter wind keep the crane readable
+const SIMULATION_PARAMS = { spring: 14, damping: 5, wind: 0.15 }
+
+const MODEL_URL = '/models/crane-flying/gisheregrus_nigricollis.glb'
+// Emitted by the bake-crane-keyframes Vite plugin; dev samples the model directly
+const KEYFRAMES_URL = import.meta.env.DEV ? MODEL_URL : '/models/crane-flying/gisheregrus_nigricollis.keyframes.bin'
 
 const vertexShader = `
-attribute vec3 aPosition0;
-attribute vec3 aPosition1;
 attribute vec3 aNormal;
+attribute vec3 aColor;
 attribute float aRandom;
-
+attribute vec2 aSheetUv;
+
+uniform sampler2D uKeyframes;
+uniform int uKeyframeTextureWidth;
+uniform int uParticleCount;
+uniform ivec2 uClipOffset;     // x = current clip, y = clip fading in
+uniform ivec2 uClipFrameCount;
+uniform vec2 uClipFrame;
+uniform float uClipBlend;
 uniform float uTime;
-uniform float uAnimationProgress;
 uniform float uScale;
 uniform float uOpacity;
 uniform float uDispersion;
+uniform vec4 uAudio;
+uniform float uAudioSensitivity;
 uniform float uNoiseIntensity;
+uniform int uNoiseOctaves;
 uniform float uRevealProgress;
+uniform int uRevealStyle;
+uniform float uHelixStrandCount;
+uniform float uHelixVerticalRange;
+uniform float uHelixThickness;
+uniform float uFold;
 uniform vec2 uMouse;
 uniform vec2 uViewport;
 uniform vec3 uTargetPosition;
 uniform vec3 uRotation;
+uniform mat3 uHeading;
 
 varying float vOpacity;
 varying float vRandom;
-
-#define PI 3.14159265359
-
-// Rotation matrices
-mat3 rotateX(float angle) {
-    float c = cos(angle);
-    float s = sin(angle);
-    return mat3(1.0, 0.0, 0.0, 0.0, c, -s, 0.0, s, c);
+varying vec3 vColor;
+${pointerInteractionShader}
+${shockwaveShader}
+${simulationShader}
+#include <shader_constants>
+#include <rotation>
+#include <simplex_noise>
+#include <helix>
+#include <paper_wave>
+
+// Layered simplex noise, normalised so extra octaves add detail without changing amplitude
+float fbm(vec3 p) {
+    float sum = 0.0;
+    float amplitude = 1.0;
+    float total = 0.0;
+    for (int i = 0; i < 3; i++) {
+        if (i >= uNoiseOctaves) break;
+        sum += snoise(p) * amplitude;
+        total += amplitude;
+        p *= 2.0;
+        amplitude *= 0.5;
+    }
+    return sum / total;
 }
 
-mat3 rotateY(float angle) {
-    float c = cos(angle);
-    float s = sin(angle);
-    return mat3(c, 0.0, s, 0.0, 1.0, 0.0, -s, 0.0, c);
+// Fetch this particle's position in a clip keyframe (wraps around the clip's loop)
+vec3 keyframePosition(int offset, int frameCount, int frame) {
+    int index = (offset + (frame % frameCount + frameCount) % frameCount) * uParticleCount + gl_VertexID;
+    return texelFetch(uKeyframes, ivec2(index % uKeyframeTextureWidth, index / uKeyframeTextureWidth), 0).xyz;
 }
 
-mat3 rotateZ(float angle) {
-    float c = cos(angle);
-    float s = sin(angle);
-    return mat3(c, -s, 0.0, s, c, 0.0, 0.0, 0.0, 1.0);
+// Catmull-Rom spline through four neighbouring keyframes
+vec3 catmullRom(vec3 p0, vec3 p1, vec3 p2, vec3 p3, float t) {
+    float t2 = t * t;
+    float t3 = t2 * t;
+    return 0.5 * (
+        2.0 * p1 +
+        (p2 - p0) * t +
+        (2.0 * p0 - 5.0 * p1 + 4.0 * p2 - p3) * t2 +
+        (3.0 * p1 - p0 - 3.0 * p2 + p3) * t3
+    );
 }
 
-// Simplex noise functions
-vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
-vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
-
-float snoise(vec3 v) {
-    const vec2 C = vec2(1.0/6.0, 1.0/3.0);
-    const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
-
-    vec3 i = floor(v + dot(v, C.yyy));
-    vec3 x0 = v - i + dot(i, C.xxx);
-
-    vec3 g = step(x0.yzx, x0.xyz);
-    vec3 l = 1.0 - g;
-    vec3 i1 = min(g.xyz, l.zxy);
-    vec3 i2 = max(g.xyz, l.zxy);
-
-    vec3 x1 = x0 - i1 + C.xxx;
-    vec3 x2 = x0 - i2 + C.yyy;
-    vec3 x3 = x0 - D.yyy;
-
-    i = mod289(i);
-    vec4 p = permute(permute(permute(
-        i.z + vec4(0.0, i1.z, i2.z, 1.0))
-        + i.y + vec4(0.0, i1.y, i2.y, 1.0))
-        + i.x + vec4(0.0, i1.x, i2.x, 1.0));
-
-    float n_ = 0.142857142857;
-    vec3 ns = n_ * D.wyz - D.xzx;
-
-    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+// Smoothly interpolate the wingbeat across neighbouring keyframes of a clip
+vec3 clipPosition(int offset, int frameCount, float playhead) {
+    int frame = int(floor(playhead));
+    return catmullRom(
+        keyframePosition(offset, frameCount, frame - 1),
+        keyframePosition(offset, frameCount, frame),
+        keyframePosition(offset, frameCount, frame + 1),
+        keyframePosition(offset, frameCount, frame + 2),
+        fract(playhead)
+    );
+}
 
-    vec4 x_ = floor(j * ns.z);
-    vec4 y_ = floor(j - 7.0 * x_);
+// Paper sheet matching EtherealPaper's plane - 6x6, tilted back 45 degrees, gently undulating
+vec3 sheetPosition(vec2 uv) {
+    vec2 xy = (uv - 0.5) * 6.0;
+    return rotateX(PI * 0.25) * vec3(xy, paperElevation(xy, uTime));
+}
 
-    vec4 x = x_ *ns.x + ns.yyyy;
-    vec4 y = y_ *ns.x + ns.yyyy;
-    vec4 h = 1.0 - abs(x) - abs(y);
+// Origami fold from the sheet (fold = 0) into the crane pose pos (fold = 1).
+// Corners fold first and the middle of the sheet last, each lifting off the paper mid-crease.
+vec3 foldFromSheet(vec3 pos, float fold) {
+    vec2 fromCentre = abs(aSheetUv - 0.5) * 2.0;
+    float order = 1.0 - max(fromCentre.x, fromCentre.y);
+    float p = smoothstep(0.0, 1.0, clamp(fold * 1.5 - order * 0.5, 0.0, 1.0));
 
-    vec4 b0 = vec4(x.xy, y.xy);
-    vec4 b1 = vec4(x.zw, y.zw);
+    vec3 sheetNormal = rotateX(PI * 0.25) * vec3(0.0, 0.0, 1.0);
+    return mix(sheetPosition(aSheetUv), pos, p) + sheetNormal * sin(p * PI) * (1.0 - order) * 0.8;
+}
 
-    vec4 s0 = floor(b0)*2.0 + 1.0;
-    vec4 s1 = floor(b1)*2.0 + 1.0;
-    vec4 sh = -step(h, vec4(0.0));
+// Intro reveal - moves pos (scaled and rotated, before the flight offset) to where this particle
+// is at the current reveal progress, and returns its own progress (staggered in most styles)
+float applyReveal(inout vec3 pos, vec3 local) {
+    float progress = uRevealProgress;
+
+    // Spiral - unwind inwards from a wider, turned ring
+    if (uRevealStyle == 1) {
+        float remaining = 1.0 - progress;
+        float turn = remaining * remaining * (TAU + aRandom * PI);
+        pos = rotateZ(turn) * pos * (1.0 + remaining * 3.0);
+        pos.z += remaining * (aRandom - 0.5) * 4.0;
+        return progress;
+    }
 
-    vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy;
-    vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww;
+    // Sweep - particles arrive from one wingtip to the other
+    if (uRevealStyle == 2) {
+        float span = clamp(local.x / ${CRANE_SPAN} + 0.5, 0.0, 1.0);
+        float p = clamp(progress * 1.6 - span * 0.6, 0.0, 1.0);
+        pos += vec3(-1.5, (aRandom - 0.5) * 0.6, 0.0) * (1.0 - p);
+        return p;
+    }
 
-    vec3 p0 = vec3(a0.xy, h.x);
-    vec3 p1 = vec3(a0.zw, h.y);
-    vec3 p2 = vec3(a1.xy, h.z);
-    vec3 p3 = vec3(a1.zw, h.w);
+    // Drop - fall in from above, in random order
+    if (uRevealStyle == 3) {
+        float p = clamp(progress * 1.5 - aRandom * 0.5, 0.0, 1.0);
+        float fall = 1.0 - p;
+        pos.y += fall * fall * 8.0;
+        return p;
+    }
 
-    vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2,p2), dot(p3,p3)));
-    p0 *= norm.x;
-    p1 *= norm.y;
-    p2 *= norm.z;
-    p3 *= norm.w;
+    // Helix - start on the strands (approximating the hero helix) and gather into the crane
+    if (uRevealStyle == 4) {
+        float p = clamp(progress * 1.4 - aRandom * 0.4, 0.0, 1.0);
+        float strand = floor(aRandom * uHelixStrandCount);
+        float along = fract(aRandom * 7.31);
+        float angle = helixAngle(along, strand, uHelixStrandCount, 2.5) + uTime * 0.05;
+        vec3 helix = helixPoint(angle, 3.5 + strand * 0.5, along, uHelixVerticalRange);
+        // Spread across the ribbon like the strands' own particles
+        helix.xz += vec2(cos(angle + PI * 0.5), sin(angle + PI * 0.5)) * (fract(aRandom * 13.7) - 0.5) * uHelixThickness;
+        pos = mix(helix - uTargetPosition, pos, smoothstep(0.0, 1.0, p));
+        return mix(0.4, 1.0, p);
+    }
 
-    vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
-    m = m * m;
-    return 42.0 * dot(m*m, vec4(dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3)));
-}
+    // Fold - the sheet fades in, then folds into the crane
+    if (uRevealStyle == 5) {
+        pos = foldFromSheet(pos, progress);
+        return min(progress * 4.0, 1.0);
+    }
 
-// Easing function for smooth interpolation
-float easeInOutCubic(float t) {
-    return t < 0.5 ? 4.0 * t * t * t : 1.0 - pow(-2.0 * t + 2.0, 3.0) / 2.0;
+    // Scatter - converge from a noise-based cloud
+    vec3 scatterDir = normalize(vec3(
+        snoise(vec3(aRandom * 10.0, 0.0, 0.0)),
+        snoise(vec3(0.0, aRandom * 10.0, 0.0)),
+        snoise(vec3(0.0, 0.0, aRandom * 10.0))
+    ));
+    pos += scatterDir * (1.0 - progress) * 3.0 * (0.5 + aRandom);
+    return progress;
 }
 
 void main() {
-    // Interpolate between keyframe positions
-    float easedProgress = easeInOutCubic(uAnimationProgress);
-    vec3 animatedPos = mix(aPosition0, aPosition1, easedProgress);
+    // Crossfade between the two clip layers (only sampling both mid-fade)
+    vec3 animatedPos = uClipBlend < 1.0
+        ? clipPosition(uClipOffset.x, uClipFrameCount.x, uClipFrame.x)
+        : clipPosition(uClipOffset.y, uClipFrameCount.y, uClipFrame.y);
+    if (uClipBlend > 0.0 && uClipBlend < 1.0) {
+        animatedPos = mix(animatedPos, clipPosition(uClipOffset.y, uClipFrameCount.y, uClipFrame.y), uClipBlend);
+    }
 
     // Apply rotation (facing up-left)
     mat3 rotation = rotateZ(uRotation.z) * rotateY(uRotation.y) * rotateX(uRotation.x);
-    vec3 rotatedPos = rotation * animatedPos;
+    vec3 rotatedPos = uHeading * rotation * animatedPos;
 
     // Scale the position
     vec3 pos = rotatedPos * uScale;
 
     // Apply dispersion along normals
     vec3 normal = normalize(aNormal);
-    float dispersionAmount = uDispersion * (0.5 + aRandom * 0.5);
+    float dispersionAmount = (uDispersion + uAudio.x * uAudioSensitivity * 0.3) * (0.5 + aRandom * 0.5);
     pos += normal * dispersionAmount * 2.0;
 
     // Add noise displacement
     float noiseTime = uTime * 0.5;
     vec3 noisePos = pos * 3.0 + vec3(noiseTime);
-    float noiseX = snoise(noisePos) * uNoiseIntensity;
-    float noiseY = snoise(noisePos + vec3(100.0)) * uNoiseIntensity;
-    float noiseZ = snoise(noisePos + vec3(200.0)) * uNoiseIntensity;
+    float noiseX = fbm(noisePos) * uNoiseIntensity;
+    float noiseY = fbm(noisePos + vec3(100.0)) * uNoiseIntensity;
+    float noiseZ = fbm(noisePos + vec3(200.0)) * uNoiseIntensity;
     pos += vec3(noiseX, noiseY, noiseZ);
 
-    // Initial reveal effect - particles start dispersed and converge
-    float revealDispersion = (1.0 - uRevealProgress) * 3.0;
-    vec3 scatterDir = normalize(vec3(
-        snoise(vec3(aRandom * 10.0, 0.0, 0.0)),
-        snoise(vec3(0.0, aRandom * 10.0, 0.0)),
-        snoise(vec3(0.0, 0.0, aRandom * 10.0))
-    ));
-    pos += scatterDir * revealDispersion * (0.5 + aRandom);
+    // Initial reveal - particles start per uRevealStyle and converge
+    float reveal = applyReveal(pos, animatedPos);
+
+    // Scroll-driven fold (unfolds back to the sheet towards the hero)
+    if (uFold < 1.0) pos = foldFromSheet(pos, uFold);
 
     // Add target position offset
     pos += uTargetPosition;
 
-    // Mouse repulsion
+    // Click shockwaves blow the particles out and let them spring back
+    pos += shockwaveDisplacement(pos, 0.6 * (0.5 + aRandom));
+
+    #ifdef SIMULATION_TARGET
+    // Simulation target pass - store the shape position (pointer forces are simulated)
+    vSimulationTarget = pos;
+    gl_Position = simulationTargetPosition();
+    gl_PointSize = 1.0;
+    return;
+    #endif
+
+    // Pointer interaction
     vec2 mouseWorld = uMouse * uViewport * 0.5;
-    float dist = distance(pos.xy, mouseWorld);
-    float influence = smoothstep(4.0, 0.0, dist);
-    vec3 dir = normalize(pos - vec3(mouseWorld, pos.z));
-    pos += dir * influence * 0.5;
+    pos += pointerDisplacement(pos, vec3(mouseWorld, pos.z));
+
+    #ifdef SIMULATED
+    pos = texelFetch(uSimulationPositions, simulationCoord(), 0).xyz;
+    #endif
 
     vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
     gl_Position = projectionMatrix * mvPosition;
 
     // Point size with depth attenuation (independent of crane scale)
-    float size = 18.0 + aRandom * 12.0;
+    float size = (18.0 + aRandom * 12.0) * (1.0 + uAudio.w * uAudioSensitivity * 0.4);
     gl_PointSize = size * (1.0 / -mvPosition.z);
 
     // Glittering effect - individual particles fluctuate in opacity
-    float glitterPhase = aRandom * 6.28318; // Random phase offset per particle
+    float glitterPhase = aRandom * TAU; // Random phase offset per particle
     float glitterSpeed = 2.0 + aRandom * 3.0; // Varying speeds
     float glitter = 0.5 + 0.5 * sin(uTime * glitterSpeed + glitterPhase);
-    float glitterAmount = 0.3; // How much the opacity varies (0-1)
+    float glitterAmount = min(0.3 + uAudio.z * uAudioSensitivity * 0.5, 1.0); // How much the opacity varies (0-1), more with the highs
     float glitterOpacity = mix(1.0, glitter, glitterAmount);
 
     // Pass opacity to fragment shader
-    vOpacity = uOpacity * uRevealProgress * glitterOpacity;
+    vOpacity = uOpacity * reveal * glitterOpacity;
     vRandom = aRandom;
+    vColor = aColor;
 }
 `
 
 const fragmentShader = `
+uniform float uColorAmount;
+
 varying float vOpacity;
 varying float vRandom;
+varying vec3 vColor;
 
 void main() {
     // Soft circular gradient
@@ -212,326 +318,235 @@ void main() {
     // Discard transparent pixels for performance
     if (strength < 0.01) discard;
 
-    // Slight color variation based on random
-    vec3 color = vec3(0.9 + vRandom * 0.1);
+    // Slight color variation based on random, blended towards the plumage colour
+    vec3 color = mix(vec3(0.9 + vRandom * 0.1), vColor, uColorAmount);
 
     gl_FragColor = vec4(color, strength * vOpacity);
 }
 `
 
-// Helper to sample skinned mesh at a specific animation time
-function sampleSkinnedMesh(skinnedMesh, skeleton, clip, time, targetPositions, targetNormals) {
-    const mixer = new THREE.AnimationMixer(skinnedMesh)
-    const action = mixer.clipAction(clip)
-    action.play()
-    mixer.setTime(time)
-
-    // Update skeleton
-    skeleton.update()
-
-    // Get the baked positions
-    const geometry = skinnedMesh.geometry
-    const positionAttr = geometry.attributes.position
-    const normalAttr = geometry.attributes.normal
-    const skinIndexAttr = geometry.attributes.skinIndex
-    const skinWeightAttr = geometry.attributes.skinWeight
-
-    const vertex = new THREE.Vector3()
-    const normal = new THREE.Vector3()
-    const skinned = new THREE.Vector3()
-    const skinnedNormal = new THREE.Vector3()
-    const boneMatrix = new THREE.Matrix4()
-    const normalMatrix = new THREE.Matrix3()
-
-    const boneMatrices = skeleton.boneMatrices
-
-    for (let i = 0; i < positionAttr.count; i++) {
-        vertex.fromBufferAttribute(positionAttr, i)
-        normal.fromBufferAttribute(normalAttr, i)
-
-        skinned.set(0, 0, 0)
-        skinnedNormal.set(0, 0, 0)
-
-        // Apply bone transformations
-        for (let j = 0; j < 4; j++) {
-            const boneIndex = skinIndexAttr.getComponent(i, j)
-            const weight = skinWeightAttr.getComponent(i, j)
-
-            if (weight > 0) {
-                boneMatrix.fromArray(boneMatrices, boneIndex * 16)
-
-                // Position
-                const temp = vertex.clone()
-                temp.applyMatrix4(boneMatrix)
-                temp.multiplyScalar(weight)
-                skinned.add(temp)
-
-                // Normal
-                normalMatrix.setFromMatrix4(boneMatrix)
-                const tempNormal = normal.clone()
-                tempNormal.applyMatrix3(normalMatrix)
-                tempNormal.multiplyScalar(weight)
-                skinnedNormal.add(tempNormal)
-            }
-        }
-
-        // Apply mesh world transform
-        skinned.applyMatrix4(skinnedMesh.matrixWorld)
-
-        targetPositions[i * 3] = skinned.x
-        targetPositions[i * 3 + 1] = skinned.y
-        targetPositions[i * 3 + 2] = skinned.z
-
-        skinnedNormal.normalize()
-        targetNormals[i * 3] = skinnedNormal.x
-        targetNormals[i * 3 + 1] = skinnedNormal.y
-        targetNormals[i * 3 + 2] = skinnedNormal.z
-    }
-
-    mixer.stopAllAction()
-}
-
-// Simple seeded random for deterministic particle values
-function seededRandom(seed) {
-    const x = Math.sin(seed * 12.9898) * 43758.5453
-    return x - Math.floor(x)
-}
-
 const CraneParticles = forwardRef((props, ref) => {
     const meshRef = useRef(null)
     const { viewport } = useThree()
+    const quality = useQuality()
+
+    // Load baked keyframes (sampled from the GLB at runtime in dev)
+    const keyframes = useLoader(CraneKeyframeLoader, KEYFRAMES_URL, (loader) => loader.setModelUrl(MODEL_URL))
+
+    // Pre-allocate objects for useFrame (no allocations during render)
+    const frameObjects = useMemo(() => ({
+        tangent: new THREE.Vector3(),
+        heading: new THREE.Quaternion(),
+        headingTarget: new THREE.Quaternion(),
+        headingMatrix: new THREE.Matrix4(),
+        identity: new THREE.Quaternion(),
+        mouseWorld: new THREE.Vector2()
+    }), [])
 
-    // Load the GLB model
-    const gltf = useLoader(GLTFLoader, '/models/crane-flying/gisheregrus_nigricollis.glb')
-
-    // Pre-allocate vectors for useFrame (no allocations during render)
-    const targetPosVec = useMemo(() => new THREE.Vector3(), [])
-
-    // Process the model and sample keyframes
-    const { particleData, keyframePositions } = useMemo(() => {
-        const scene = gltf.scene.clone()
-        scene.updateMatrixWorld(true)
-
-        // Find the skinned mesh
-        let skinnedMesh = null
-        let skeleton = null
-
-        scene.traverse((child) => {
-            if (child.isSkinnedMesh && !skinnedMesh) {
-                skinnedMesh = child
-                skeleton = child.skeleton
-            }
-        })
-
-        if (!skinnedMesh || !skeleton) {
-            console.warn('No skinned mesh found in crane model')
-            return { particleData: null, keyframePositions: [] }
-        }
-
-        // Get animation clip
-        const clip = gltf.animations[0]
-        if (!clip) {
-            console.warn('No animation found in crane model')
-            return { particleData: null, keyframePositions: [] }
-        }
-
-        const geometry = skinnedMesh.geometry
-        const vertexCount = geometry.attributes.position.count
-
-        // Limit particle count for performance
-        const particleCount = Math.min(vertexCount, MAX_PARTICLES)
-
-        // Build weighted sampling for wing vertices (larger |x| values)
-        // First pass: analyze vertex positions to find X bounds
-        const posAttr = geometry.attributes.position
-        let minX = Infinity, maxX = -Infinity
-        for (let i = 0; i < vertexCount; i++) {
-            const x = posAttr.getX(i)
-            minX = Math.min(minX, x)
-            maxX = Math.max(maxX, x)
-        }
-        const xRange = maxX - minX
-        const wingThreshold = xRange * 0.2 // Vertices beyond 20% from center are "wing"
-        const centerX = (minX + maxX) / 2
-
-        // Create particle entries with index and optional offset for wing spread
-        const particleEntries = [] // { index, offsetX, offsetY, offsetZ }
-        for (let i = 0; i < vertexCount; i++) {
-            const x = posAttr.getX(i)
-            const distFromCenter = Math.abs(x - centerX)
-            const isWing = distFromCenter > wingThreshold
-
-            // Base particle (no offset)
-            particleEntries.push({ index: i, offsetX: 0, offsetY: 0, offsetZ: 0 })
-
-            // Wing particles get extra samples with random spread
-            if (isWing) {
-                const spreadAmount = 0.015 // Spread radius in model units
-                for (let w = 0; w < 8; w++) {
-                    // Deterministic "random" offsets based on vertex and iteration
-                    const seed1 = seededRandom(i * 100 + w * 7)
-                    const seed2 = seededRandom(i * 100 + w * 13 + 50)
-                    const seed3 = seededRandom(i * 100 + w * 19 + 100)
-                    particleEntries.push({
-                        index: i,
-                        offsetX: (seed1 - 0.5) * spreadAmount,
-                        offsetY: (seed2 - 0.5) * spreadAmount,
-                        offsetZ: (seed3 - 0.5) * spreadAmount
-                    })
-                }
-            }
-        }
-
-        // Sample from entries with deterministic selection
-        const selectedEntries = []
-        const step = particleEntries.length / particleCount
-        for (let i = 0; i < particleCount; i++) {
-            const idx = Math.floor(i * step)
-            selectedEntries.push(particleEntries[idx])
-        }
-
-        // Sample keyframes from the animation
-        const duration = clip.duration
-        const keyframes = []
-
-        for (let k = 0; k < KEYFRAME_COUNT; k++) {
-            const time = (k / (KEYFRAME_COUNT - 1)) * duration
-            const positions = new Float32Array(particleCount * 3)
-            const normals = new Float32Array(particleCount * 3)
-
-            // Create a fresh clone for each keyframe to avoid state issues
-            const sampleScene = gltf.scene.clone()
-            sampleScene.updateMatrixWorld(true)
-
-            let sampleMesh = null
-            let sampleSkeleton = null
-
-            sampleScene.traverse((child) => {
-                if (child.isSkinnedMesh && !sampleMesh) {
-                    sampleMesh = child
-                    sampleSkeleton = child.skeleton
-                }
-            })
-
-            if (sampleMesh && sampleSkeleton) {
-                // Sample full vertex data
-                const fullPositions = new Float32Array(vertexCount * 3)
-                const fullNormals = new Float32Array(vertexCount * 3)
-                sampleSkinnedMesh(sampleMesh, sampleSkeleton, clip, time, fullPositions, fullNormals)
-
-                // Use weighted entries for particle sampling (with spread offsets)
-                for (let i = 0; i < particleCount; i++) {
-                    const entry = selectedEntries[i]
-                    const srcIdx = entry.index
-                    // Apply position with spread offset for wing particles
-                    positions[i * 3] = fullPositions[srcIdx * 3] + entry.offsetX
-                    positions[i * 3 + 1] = fullPositions[srcIdx * 3 + 1] + entry.offsetY
-                    positions[i * 3 + 2] = fullPositions[srcIdx * 3 + 2] + entry.offsetZ
-                    normals[i * 3] = fullNormals[srcIdx * 3]
-                    normals[i * 3 + 1] = fullNormals[srcIdx * 3 + 1]
-                    normals[i * 3 + 2] = fullNormals[srcIdx * 3 + 2]
-                }
-            }
-
-            keyframes.push({ positions, normals })
-        }
-
-        // Create particle data with deterministic random values
-        const randoms = new Float32Array(particleCount)
-        for (let i = 0; i < particleCount; i++) {
-            randoms[i] = seededRandom(i + 1)
-        }
+    // Flight path through every section's waypoint, in section order
+    const flightPath = useRef(null)
+    if (flightPath.current === null) {
+        flightPath.current = createFlightPath(Object.values(craneStates))
+    }
+    const flight = useRef({ progress: 0, previous: 0, direction: 1 })
 
-        // Use first keyframe normals for dispersion direction
-        const baseNormals = keyframes[0]?.normals || new Float32Array(particleCount * 3)
+    // Upload every keyframe once as a float texture the vertex shader samples from
+    const particleData = useMemo(() => {
+        if (!keyframes) return null
 
         return {
-            particleData: {
-                count: particleCount,
-                randoms,
-                normals: baseNormals
-            },
-            keyframePositions: keyframes.map(k => k.positions)
+            count: keyframes.count,
+            randoms: keyframes.randoms,
+            normals: keyframes.normals,
+            // Assets baked without colours fall back to white plumage
+            colors: keyframes.colors || new Float32Array(keyframes.count * 3).fill(1),
+            positions: new Float32Array(keyframes.count * 3),
+            clips: Object.fromEntries(keyframes.clips.map((clip) => [clip.name, clip])),
+            defaultClip: keyframes.clips[0],
+            sheetUvs: createSheetUvs(keyframes.positions, keyframes.count, SHEET_SEED),
+            keyframeTexture: createKeyframeTexture(keyframes)
         }
-    }, [gltf])
+    }, [keyframes])
+
+    useEffect(() => {
+        if (!particleData) return
+        return () => particleData.keyframeTexture.dispose()
+    }, [particleData])
 
     // Create uniforms with useMemo (stable reference)
     const uniforms = useMemo(() => ({
+        uKeyframes: { value: null },
+        uKeyframeTextureWidth: { value: KEYFRAME_TEXTURE_WIDTH },
+        uParticleCount: { value: 0 },
+        uClipOffset: { value: new THREE.Vector2(0, 0) },
+        uClipFrameCount: { value: new THREE.Vector2(1, 1) },
+        uClipFrame: { value: new THREE.Vector2(0, 0) },
+        uClipBlend: { value: 0 },
         uTime: { value: 0 },
-        uAnimationProgress: { value: 0 },
-        uScale: { value: craneStates.hero.scale },
-        uOpacity: { value: craneStates.hero.opacity },
-        uDispersion: { value: craneStates.hero.dispersion },
-        uNoiseIntensity: { value: craneStates.hero.noiseIntensity },
+        uScale: { value: initialState.scale },
+        uOpacity: { value: initialState.opacity },
+        uColorAmount: { value: initialState.colorAmount },
+        uDispersion: { value: initialState.dispersion },
+        uNoiseIntensity: { value: initialState.noiseIntensity },
+        uNoiseOctaves: { value: quality.noiseOctaves },
         uRevealProgress: { value: 0 },
+        uRevealStyle: { value: 0 },
+        uHelixStrandCount: { value: DEFAULT_HELIX.strandCount },
+        uHelixVerticalRange: { value: DEFAULT_HELIX.verticalRange },
+        uHelixThickness: { value: DEFAULT_HELIX.thickness },
+        uFold: { value: 1 },
         uMouse: { value: new THREE.Vector2(0, 0) },
         uViewport: { value: new THREE.Vector2(viewport.width, viewport.height) },
-        uTargetPosition: { value: new THREE.Vector3(...craneStates.hero.position) },
-        uRotation: { value: new THREE.Vector3(...craneStates.hero.rotation) }
+        uTargetPosition: { value: new THREE.Vector3(...initialState.position) },
+        uRotation: { value: new THREE.Vector3(...initialState.rotation) },
+        uHeading: { value: new THREE.Matrix3() },
+        ...createPointerUniforms(initialState.pointer),
+        ...createShockwaveUniforms(),
+        ...createAudioUniforms(initialState.audio),
+        uSimulationPositions: { value: null }
     // eslint-disable-next-line react-hooks/exhaustive-deps
     }), [])
 
-    // Current animation state
+    const wakeTrail = useMemo(() => createWakeTrail(uniforms.uWake), [uniforms])
+    const shockwaves = useMemo(() => createShockwaveEmitter(uniforms.uShockwaves), [uniforms])
+
+    // Follow the hero helix's layout for the 'helix' reveal
+    const { strandCount, verticalRange, thickness } = { ...DEFAULT_HELIX, ...props.helix }
+    useEffect(() => {
+        uniforms.uHelixStrandCount.value = strandCount
+        uniforms.uHelixVerticalRange.value = verticalRange
+        uniforms.uHelixThickness.value = thickness
+    }, [uniforms, strandCount, verticalRange, thickness])
+
+    // Crane clock - advanced by the real frame delta, so it runs at the same speed at any frame rate.
+    // Drives the wingbeat and every time-based effect; controlled through play/pause/seek/setTimeScale.
+    // jumped is set by seek so smoothed values settle at once instead of easing to the new time
+    const playback = useRef({ playing: true, timeScale: 1, time: 0, jumped: false })
+
+    // The crane's tweens (reveal, clip crossfade, state uniforms) are placed on this timeline at the
+    // crane clock's time, and its playhead follows the clock - so pause, seek and setTimeScale hold,
+    // scrub or retime them with the wingbeat. Finished tweens stay on it so seek can scrub back
+    const tweens = useRef(null)
+    useEffect(() => {
+        const timeline = gsap.timeline({ paused: true })
+        tweens.current = timeline
+        return () => timeline.kill()
+    }, [])
+
+    // Current animation state - two clip layers crossfaded by uClipBlend (0 -> first, 1 -> second)
     const animationState = useRef({
-        currentKeyframe: 0,
-        animationSpeed: craneStates.hero.animationSpeed,
-        frameAccumulator: 0
+        layers: [
+            { clip: initialState.clip, speed: clipSpeed(initialState), frame: 0 },
+            { clip: initialState.clip, speed: clipSpeed(initialState), frame: 0 }
+        ]
     })
 
-    // Run initial reveal animation
+    // Point the shader at the current keyframe texture
     useEffect(() => {
         if (!particleData) return
-
-        // Animate reveal progress from 0 to 1 over 3 seconds
-        gsap.to(uniforms.uRevealProgress, {
-            value: 1,
-            duration: 3,
-            ease: 'power2.out'
-        })
+        uniforms.uKeyframes.value = particleData.keyframeTexture
+        uniforms.uParticleCount.value = particleData.count
     }, [particleData, uniforms])
 
-    // Update keyframe attributes when animation progresses
-    const updateKeyframeAttributes = useMemo(() => {
-        return (geometry, currentFrame, nextFrame) => {
-            if (!keyframePositions.length || !geometry) return
+    // Scale the particle budget and noise detail with the quality tier
+    // (surface samples are in random order, so any prefix covers the whole crane)
+    useEffect(() => {
+        uniforms.uNoiseOctaves.value = quality.noiseOctaves
+        if (meshRef.current && particleData) {
+            meshRef.current.geometry.setDrawRange(0, Math.ceil(particleData.count * quality.particleFraction))
+        }
+    }, [quality, particleData, uniforms])
 
-            const pos0 = keyframePositions[currentFrame]
-            const pos1 = keyframePositions[nextFrame]
+    // Play a reveal choreography from the start
+    const playReveal = useCallback((options) => {
+        const reveal = { ...DEFAULT_REVEAL, ...options }
 
-            if (pos0 && pos1) {
-                const attr0 = geometry.attributes.aPosition0
-                const attr1 = geometry.attributes.aPosition1
+        uniforms.uRevealStyle.value = Math.max(REVEAL_STYLES.indexOf(reveal.style), 0)
+        const timeline = tweens.current
+        const start = playback.current.time
+        timeline.set(uniforms.uRevealProgress, { value: 0 }, start)
+        timeline.to(uniforms.uRevealProgress, {
+            value: 1,
+            duration: reveal.duration,
+            ease: reveal.ease
+        }, start)
+    }, [uniforms])
+
+    // Run initial reveal animation
+    useEffect(() => {
+        if (!particleData) return
+        playReveal(props.reveal)
+    }, [particleData, playReveal, props.reveal])
 
-                if (attr0 && attr1) {
-                    attr0.array.set(pos0)
-                    attr1.array.set(pos1)
-                    attr0.needsUpdate = true
-                    attr1.needsUpdate = true
-                }
+    // Scrub the flight path with the page scroll
+    useEffect(() => {
+        const tl = gsap.timeline({
+            scrollTrigger: {
+                trigger: 'body',
+                start: 'top top',
+                end: 'bottom bottom',
+                scrub: 1,
             }
+        })
+
+        tl.to(flight.current, {
+            progress: 1,
+            ease: 'none'
+        })
+
+        return () => {
+            if (tl.scrollTrigger) tl.scrollTrigger.kill()
+            tl.kill()
         }
-    }, [keyframePositions])
+    }, [])
 
-    // Base rotation values (updated on state transitions)
-    const baseRotation = useRef(new THREE.Vector3(...craneStates.hero.rotation))
+    // Base rotation values (follow the flight path waypoints)
+    const baseRotation = useRef(new THREE.Vector3(...initialState.rotation))
 
-    useFrame((state) => {
+    useFrame((state, frameDelta) => {
         if (!meshRef.current || !particleData) return
 
-        const { clock, pointer } = state
+        const { pointer } = state
         const material = meshRef.current.material
-        const geometry = meshRef.current.geometry
-        const elapsed = clock.getElapsedTime()
+        const clock = playback.current
+        const delta = clock.playing ? frameDelta * clock.timeScale : 0
+        clock.time += delta
+        const elapsed = clock.time
+        tweens.current?.time(elapsed)
 
         // Update time
         material.uniforms.uTime.value = elapsed
 
-        // Smooth mouse lerp
-        material.uniforms.uMouse.value.lerp(pointer, 0.1)
+        // Smooth mouse lerp (touch / tilt input when provided)
+        material.uniforms.uMouse.value.lerp(props.pointer || pointer, 1 - Math.exp(-delta * 6))
 
         // Update viewport
         material.uniforms.uViewport.value.set(state.viewport.width, state.viewport.height)
 
+        // Drop wake points along the pointer's path (world units, matching the shader)
+        const { mouseWorld } = frameObjects
+        mouseWorld.copy(material.uniforms.uMouse.value).multiply(material.uniforms.uViewport.value).multiplyScalar(0.5)
+        wakeTrail.update(mouseWorld, delta)
+
+        // Fly along the path, turning towards the direction of travel (reversed when scrolling back)
+        const f = flight.current
+        const { tangent, heading, headingTarget, headingMatrix, identity } = frameObjects
+        if (f.progress !== f.previous) f.direction = Math.sign(f.progress - f.previous)
+        f.previous = f.progress
+
+        // Fold from the sheet across the first section's scroll when enabled
+        if (props.foldOnScroll) {
+            material.uniforms.uFold.value = THREE.MathUtils.clamp(f.progress * (Object.keys(craneStates).length - 1), 0, 1)
+        }
+
+        flightPath.current.getPose(f.progress, material.uniforms.uTargetPosition.value, baseRotation.current, tangent)
+        tangent.multiplyScalar(f.direction).normalize()
+        headingTarget.setFromUnitVectors(REST_HEADING, tangent)
+        headingTarget.slerpQuaternions(identity, headingTarget, HEADING_INFLUENCE)
+        heading.slerp(headingTarget, clock.jumped ? 1 : 1 - Math.exp(-delta * 3))
+        clock.jumped = false
+        material.uniforms.uHeading.value.setFromMatrix4(headingMatrix.makeRotationFromQuaternion(heading))
+
         // Slow continuous rotation drift
         const rotationDrift = elapsed * 0.03 // Very slow Y rotation
         const wobbleX = Math.sin(elapsed * 0.15) * 0.05 // Subtle pitch wobble
@@ -543,117 +558,221 @@ const CraneParticles = forwardRef((props, ref) => {
             baseRotation.current.z + wobbleZ
         )
 
-        // Animate through keyframes based on animation speed
-        const anim = animationState.current
-        anim.frameAccumulator += clock.getDelta() * anim.animationSpeed * 30 // 30fps base rate
+        // Advance each clip layer's playhead through its keyframe loop based on animation speed
+        animationState.current.layers.forEach((layer, i) => {
+            const clip = particleData.clips[layer.clip] || particleData.defaultClip
+            layer.frame = THREE.MathUtils.euclideanModulo(layer.frame + delta * layer.speed * 30, clip.frameCount) // 30fps base rate
 
-        if (anim.frameAccumulator >= 1) {
-            anim.frameAccumulator = 0
-            anim.currentKeyframe = (anim.currentKeyframe + 1) % KEYFRAME_COUNT
-            const nextFrame = (anim.currentKeyframe + 1) % KEYFRAME_COUNT
+            material.uniforms.uClipOffset.value.setComponent(i, clip.offset)
+            material.uniforms.uClipFrameCount.value.setComponent(i, clip.frameCount)
+            material.uniforms.uClipFrame.value.setComponent(i, layer.frame)
+        })
+    })
 
-            // Update buffer attributes with new keyframes
-            updateKeyframeAttributes(geometry, anim.currentKeyframe, nextFrame)
-        }
+    // Music levels into uAudio (silent without an audio source)
+    useAudioReactive(props.audio, uniforms)
+
+    // Optional GPU physics - steps after the frame above has updated the uniforms
+    const simulationDefines = useParticleSimulation({
+        enabled: props.simulation,
+        meshRef,
+        count: particleData?.count,
+        vertexShader,
+        uniforms,
+        params: SIMULATION_PARAMS
+    })
 
-        // Interpolation progress within current keyframe pair
-        material.uniforms.uAnimationProgress.value = anim.frameAccumulator
+    // Optional motion trails (a screen-space pass, so only on tiers that allow post-processing)
+    const trailSettings = useRef({ ...initialState.trail })
+    const trail = useMotionTrail({
+        enabled: props.trails && quality.postProcessing,
+        meshRef,
+        settings: trailSettings
     })
 
-    // Expose transition method via ref
+    // Expose transition and playback methods via ref
     useImperativeHandle(ref, () => ({
+        play: () => {
+            playback.current.playing = true
+        },
+
+        pause: () => {
+            playback.current.playing = false
+        },
+
+        // Jump the crane clock to a time in seconds, either way - tweens land where they
+        // were (or will be) at that time, and the wingbeat where it would be after playing
+        // that long at the clip speeds then
+        seek: (time) => {
+            tweens.current.time(time)
+            playback.current.time = time
+            playback.current.jumped = true
+            animationState.current.layers.forEach((layer) => {
+                layer.frame = time * layer.speed * 30
+            })
+        },
+
+        // Playback rate multiplier (1 = normal, 0.5 = half speed)
+        setTimeScale: (scale) => {
+            playback.current.timeScale = scale
+        },
+
         transitionToState: (stateName) => {
             const state = craneStates[stateName]
             if (!state) return
 
-            // Update animation speed immediately
-            animationState.current.animationSpeed = state.animationSpeed
+            const timeline = tweens.current
+            const start = playback.current.time
+
+            // Crossfade to the layer holding the state's clip, preferring the one on screen;
+            // otherwise load the clip into the hidden layer, where replacing it pops least.
+            // Layer changes are timeline sets (not assignments) so seek can scrub back past them
+            const anim = animationState.current
+            const blend = uniforms.uClipBlend
+            const [first, second] = anim.layers
+            const shown = blend.value < 0.5 ? first : second
+            const hidden = shown === first ? second : first
+            const clip = state.clip || shown.clip
+            const target = shown.clip === clip ? shown : hidden
+
+            if (target.clip === clip) {
+                timeline.set(target, { speed: clipSpeed(state) }, start)
+            } else {
+                timeline.set(target, { clip, speed: clipSpeed(state), frame: 0 }, start)
+            }
+            // Later tweens render after earlier ones, so this overrides a crossfade still running
+            timeline.to(blend, {
+                value: target === first ? 0 : 1,
+                duration: TRANSITION.duration,
+                ease: 'power1.inOut'
+            }, start)
 
             // Animate other properties
-            gsap.to(uniforms.uScale, { value: state.scale, duration: 2, ease: 'power2.out' })
-            gsap.to(uniforms.uOpacity, { value: state.opacity, duration: 2, ease: 'power2.out' })
-            gsap.to(uniforms.uDispersion, { value: state.dispersion, duration: 2, ease: 'power2.out' })
-            gsap.to(uniforms.uNoiseIntensity, { value: state.noiseIntensity, duration: 2, ease: 'power2.out' })
-
-            // Animate position
-            if (state.position) {
-                targetPosVec.set(...state.position)
-                gsap.to(uniforms.uTargetPosition.value, {
-                    x: targetPosVec.x,
-                    y: targetPosVec.y,
-                    z: targetPosVec.z,
-                    duration: 2,
-                    ease: 'power2.out'
-                })
+            timeline.to(uniforms.uScale, { value: state.scale, ...TRANSITION }, start)
+            timeline.to(uniforms.uOpacity, { value: state.opacity, ...TRANSITION }, start)
+            timeline.to(uniforms.uColorAmount, { value: state.colorAmount, ...TRANSITION }, start)
+            timeline.to(uniforms.uDispersion, { value: state.dispersion, ...TRANSITION }, start)
+            timeline.to(uniforms.uNoiseIntensity, { value: state.noiseIntensity, ...TRANSITION }, start)
+            timeline.to(uniforms.uAudioSensitivity, { value: state.audio, ...TRANSITION }, start)
+            timeline.add(tweenPointerUniforms(uniforms, state.pointer, { ...TRANSITION }), start)
+            timeline.to(trailSettings.current, { ...state.trail, ...TRANSITION }, start)
+        },
+
+        // Set uniforms directly between two section states (t = 0 -> from, 1 -> to)
+        blendStates: (fromName, toName, t) => {
+            const from = craneStates[fromName]
+            const to = craneStates[toName]
+            if (!from || !to) return
+
+            const anim = animationState.current
+            const blend = uniforms.uClipBlend
+            const [first, second] = anim.layers
+            const fromClip = from.clip || (blend.value < 0.5 ? first : second).clip
+            const toClip = to.clip || fromClip
+            gsap.killTweensOf([first, second, blend, uniforms.uScale, uniforms.uOpacity, uniforms.uColorAmount, uniforms.uDispersion, uniforms.uNoiseIntensity, uniforms.uAudioSensitivity])
+
+            // Blend clip layers directly - a layer already holding a clip keeps it (and its playhead)
+            const flipped = second.clip === fromClip || (first.clip === toClip && first.clip !== fromClip)
+            const [fromLayer, toLayer] = flipped ? [second, first] : [first, second]
+            fromLayer.clip = fromClip
+            if (fromClip === toClip) {
+                fromLayer.speed = THREE.MathUtils.lerp(clipSpeed(from), clipSpeed(to), t)
+                blend.value = flipped ? 1 : 0
+            } else {
+                fromLayer.speed = clipSpeed(from)
+                toLayer.clip = toClip
+                toLayer.speed = clipSpeed(to)
+                blend.value = flipped ? 1 - t : t
             }
 
-            // Update base rotation for continuous drift
-            if (state.rotation) {
-                gsap.to(baseRotation.current, {
-                    x: state.rotation[0],
-                    y: state.rotation[1],
-                    z: state.rotation[2],
-                    duration: 2,
-                    ease: 'power2.out'
-                })
-            }
+            uniforms.uScale.value = THREE.MathUtils.lerp(from.scale, to.scale, t)
+            uniforms.uOpacity.value = THREE.MathUtils.lerp(from.opacity, to.opacity, t)
+            uniforms.uColorAmount.value = THREE.MathUtils.lerp(from.colorAmount, to.colorAmount, t)
+            uniforms.uDispersion.value = THREE.MathUtils.lerp(from.dispersion, to.dispersion, t)
+            uniforms.uNoiseIntensity.value = THREE.MathUtils.lerp(from.noiseIntensity, to.noiseIntensity, t)
+            uniforms.uAudioSensitivity.value = THREE.MathUtils.lerp(from.audio, to.audio, t)
+            blendPointerUniforms(uniforms, from.pointer, to.pointer, t)
+            gsap.killTweensOf(trailSettings.current)
+            trailSettings.current.length = THREE.MathUtils.lerp(from.trail.length, to.trail.length, t)
+            trailSettings.current.decay = THREE.MathUtils.lerp(from.trail.decay, to.trail.decay, t)
+        },
+
+        // Rebuild what's derived from the state table (the flight path) after live edits to the config
+        statesChanged: () => {
+            flightPath.current = createFlightPath(Object.values(craneStates))
+        },
+
+        // Replay the intro with a reveal style ({ style, duration, ease }, see REVEAL_STYLES)
+        reveal: (options) => {
+            playReveal(options)
+        },
+
+        // Start a shockwave from a world-space point
+        shockwave: (origin) => {
+            shockwaves.emit(origin, uniforms.uTime.value)
         }
     }))
 
-    if (!particleData || !keyframePositions.length) {
+    if (!particleData) {
         return null
     }
 
-    // Get initial keyframe positions
-    const initialPositions0 = keyframePositions[0]
-    const initialPositions1 = keyframePositions[1] || keyframePositions[0]
-
     return (
-        <points ref={meshRef} renderOrder={1}>
-            <bufferGeometry>
-                <bufferAttribute
-                    attach="attributes-position"
-                    count={particleData.count}
-                    array={new Float32Array(particleData.count * 3)}
-                    itemSize={3}
-                />
-                <bufferAttribute
-                    attach="attributes-aPosition0"
-                    count={particleData.count}
-                    array={initialPositions0}
-                    itemSize={3}
-                />
-                <bufferAttribute
-                    attach="attributes-aPosition1"
-                    count={particleData.count}
-                    array={initialPositions1}
-                    itemSize={3}
-                />
-                <bufferAttribute
-                    attach="attributes-aNormal"
-                    count={particleData.count}
-                    array={particleData.normals}
-                    itemSize={3}
+        <>
+            <points ref={meshRef} renderOrder={1}>
+                <bufferGeometry>
+                    <bufferAttribute
+                        attach="attributes-position"
+                        count={particleData.count}
+                        array={particleData.positions}
+                        itemSize={3}
+                    />
+                    <bufferAttribute
+                        attach="attributes-aNormal"
+                        count={particleData.count}
+                        array={particleData.normals}
+                        itemSize={3}
+                    />
+                    <bufferAttribute
+                        attach="attributes-aColor"
+                        count={particleData.count}
+                        array={particleData.colors}
+                        itemSize={3}
+                    />
+                    <bufferAttribute
+                        attach="attributes-aRandom"
+                        count={particleData.count}
+                        array={particleData.randoms}
+                        itemSize={1}
+                    />
+                    <bufferAttribute
+                        attach="attributes-aSheetUv"
+                        count={particleData.count}
+                        array={particleData.sheetUvs}
+                        itemSize={2}
+                    />
+                </bufferGeometry>
+                <shaderMaterial
+                    key={simulationDefines ? 'simulated' : 'direct'}
+                    defines={simulationDefines}
+                    vertexShader={vertexShader}
+                    fragmentShader={fragmentShader}
+                    uniforms={uniforms}
+                    transparent={true}
+                    depthWrite={false}
+                    blending={THREE.AdditiveBlending}
                 />
-                <bufferAttribute
-                    attach="attributes-aRandom"
-                    count={particleData.count}
-                    array={particleData.randoms}
-                    itemSize={1}
-                />
-            </bufferGeometry>
-            <shaderMaterial
-                vertexShader={vertexShader}
-                fragmentShader={fragmentShader}
-                uniforms={uniforms}
-                transparent={true}
-                depthWrite={false}
-                blending={THREE.AdditiveBlending}
-            />
-        </points>
+            </points>
+
+            {/* Trail quad - draws the points and their streaks while trails are on */}
+            {trail && <primitive object={trail.output} renderOrder={1} />}
+        </>
     )
 })
 
 CraneParticles.displayName = 'CraneParticles'
 
+// Drop the cached keyframes (the largest CPU buffers) - the next mount loads them again
+CraneParticles.clearCache = () => useLoader.clear(CraneKeyframeLoader, KEYFRAMES_URL)
+
 export default CraneParticles
@@ -3,6 +3,7 @@ import { useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
 import gsap from 'gsap'
 import { ScrollTrigger } from 'gsap/ScrollTrigger'
+import '../../utils/shaderChunks'
 
 gsap.registerPlugin(ScrollTrigger)
 
@@ -12,13 +13,14 @@ varying float vElevation;
 uniform float uTime;
 uniform float uScroll;
 
+#include <paper_wave>
+
 void main() {
   vUv = uv;
   vec4 modelPosition = modelMatrix * vec4(position, 1.0);
   
   // Base undulation
-  float elevation = sin(modelPosition.x * 2.0 + uTime) * 0.2;
-  elevation += sin(modelPosition.y * 1.5 + uTime * 0.5) * 0.2;
+  float elevation = paperElevation(modelPosition.xy, uTime);
   
   // Scroll influence - more chaotic/intense as you scroll
   float scrollInfluence = sin(modelPosition.x * 5.0 + uTime * 2.0) * uScroll * 0.5;
@@ -3,20 +3,35 @@ import { useFrame, useThree } from '@react-three/fiber'
 import * as THREE from 'three'
 import gsap from 'gsap'
 import { ScrollTrigger } from 'gsap/ScrollTrigger'
+import { useQuality } from '../../hooks/useQuality'
+import { seededRandom } from '../../utils/random'
+import { simulationShader } from '../../utils/ParticleSimulation'
+import { useParticleSimulation } from '../../hooks/useParticleSimulation'
+import { useMotionTrail } from '../../hooks/useMotionTrail'
+import { useAudioReactive, createAudioUniforms } from '../../hooks/useAudioReactive'
+import { shockwaveShader, createShockwaveUniforms, createShockwaveEmitter } from '../../utils/shockwaves'
+import { formationShader, createFormationUniforms, tweenFormationUniforms, blendFormationUniforms } from '../../utils/formations'
+import { pointerInteractionShader, createPointerUniforms, tweenPointerUniforms, blendPointerUniforms, createWakeTrail } from '../../utils/pointerInteraction'
+import { SECTIONS, TRANSITION, sectionStates } from '../../config/experience'
+import '../../utils/shaderChunks'
 
 gsap.registerPlugin(ScrollTrigger)
 
-// Particle state definitions
-const particleStates = {
-    hero: { tightness: 2.5, radius: 3.5, speed: 0.5, opacity: 0.9 },
-    problem: { tightness: 3.5, radius: 3.0, speed: 0.35, opacity: 0.75 },  // Tighter, slower, more subdued
-    team: { tightness: 4.0, radius: 2.8, speed: 0.4, opacity: 0.95 },
-    philosophy: { tightness: 2.0, radius: 4.5, speed: 0.6, opacity: 0.85 }, // Open, flowing, contemplative
-    services: { tightness: 2.0, radius: 5.0, speed: 0.8, opacity: 1.0 },
-    process: { tightness: 3.0, radius: 3.8, speed: 0.5, opacity: 0.9 },    // Balanced, methodical
-    quote: { tightness: 1.5, radius: 4.0, speed: 0.3, opacity: 0.7 },
-    cta: { tightness: 2.5, radius: 3.5, speed: 0.5, opacity: 0.9 }
-}
+// Particle state definitions, from src/config/experience.json
+// pointer = interaction mode, radius and strength (see POINTER_MODES)
+// formation = shape from FORMATIONS the helix morphs into, morph = how far (0 = helix, 1 = fully formed)
+// audio = how strongly the music moves it (0 = ignores it) - bass widens, mids swell the flow, highs brighten, beats pulse
+// trail = motion streaks: length = seconds a streak lasts (0 = none), decay = linear fade per second clearing the faint tail
+const particleStates = sectionStates('particles')
+// Where everything starts - the first section
+const initialState = particleStates[SECTIONS[0].id]
+
+// Helix shape when not set by props - strandCount and particlesPerStrand set the particle
+// budget, verticalRange = helix height, thickness = ribbon width, seed = per-particle randoms
+const HELIX_DEFAULTS = { strandCount: 5, particlesPerStrand: 3000, verticalRange: 20, thickness: 0.3, seed: 1 }
+
+// Low-discrepancy step for spreading particles along a strand
+const GOLDEN_RATIO_CONJUGATE = 0.6180339887
 
 const vertexShader = `
 attribute float aRandom;
@@ -28,40 +43,44 @@ uniform float uScroll;
 uniform vec2 uMouse;
 uniform vec2 uViewport;
 uniform float uRotation;
+uniform float uStrandCount;
+uniform float uVerticalRange;
+uniform float uThickness;
 
 // State uniforms for transitions
 uniform float uHelixTightness;
 uniform float uHelixRadius;
 uniform float uFlowSpeed;
 uniform float uParticleOpacity;
-
-#define PI 3.14159265359
+uniform vec4 uAudio;
+uniform float uAudioSensitivity;
+${formationShader}${pointerInteractionShader}
+${shockwaveShader}
+${simulationShader}
+#include <helix>
+#include <rotation>
 
 void main() {
   // Helical path parameters
-  float strandCount = 5.0;
-  float helixRadius = uHelixRadius + aStrand * 0.5; // Vary radius per strand
+  float strandCount = uStrandCount;
+  float helixRadius = uHelixRadius + aStrand * 0.5 + uAudio.x * uAudioSensitivity * 0.8; // Vary radius per strand, wider with the bass
   float helixTightness = uHelixTightness; // Number of full rotations
-  float verticalRange = 20.0;
+  float verticalRange = uVerticalRange;
   
   // Base position along helix
-  float y = (aProgress - 0.5) * verticalRange;
-  float angle = aProgress * helixTightness * 2.0 * PI + (aStrand / strandCount) * 2.0 * PI;
+  float angle = helixAngle(aProgress, aStrand, strandCount, helixTightness);
   
   // Apply global rotation - much slower
   angle += uRotation + uTime * 0.03;
   
-  float x = helixRadius * cos(angle);
-  float z = helixRadius * sin(angle);
+  vec3 pos = helixPoint(angle, helixRadius, aProgress, verticalRange);
   
   // Add some thickness to the ribbon (perpendicular to the strand)
   // Modulate thickness along the strand for skinny/wide variance
   float thicknessModulation = sin(aProgress * 8.0 + uTime * 0.3) * 0.5 + 1.0; // 0.5 to 1.5
-  float thickness = (aRandom - 0.5) * 0.3 * thicknessModulation;
-  x += cos(angle + PI * 0.5) * thickness;
-  z += sin(angle + PI * 0.5) * thickness;
-  
-  vec3 pos = vec3(x, y, z);
+  float thickness = (aRandom - 0.5) * uThickness * thicknessModulation;
+  pos.x += cos(angle + PI * 0.5) * thickness;
+  pos.z += sin(angle + PI * 0.5) * thickness;
   
   // Add twist rotation along the strand for more dynamic movement
   float twist = aProgress * 4.0 + uTime * 0.2;
@@ -78,7 +97,7 @@ void main() {
   float velocityLayer = aRandom; // Each particle has its own speed
   float wave1 = sin(aProgress * 3.0 - uTime * uFlowSpeed * (0.2 + velocityLayer * 0.8)) * 0.4;
   float wave2 = sin(aProgress * 5.0 - uTime * uFlowSpeed * (0.4 + velocityLayer * 0.6)) * 0.2;
-  float combinedWave = wave1 + wave2;
+  float combinedWave = (wave1 + wave2) * (1.0 + uAudio.y * uAudioSensitivity);
   
   pos += vec3(cos(angle), 0.0, sin(angle)) * combinedWave;
   
@@ -89,27 +108,38 @@ void main() {
   
   // Scroll influence - compress/twist the helix (slower)
   pos.y += sin(aProgress * 3.0 + uTime * 0.3) * uScroll * 2.0;
-  float scrollTwist = uScroll * aProgress * PI;
-  float newX = pos.x * cos(scrollTwist) - pos.z * sin(scrollTwist);
-  float newZ = pos.x * sin(scrollTwist) + pos.z * cos(scrollTwist);
-  pos.x = newX;
-  pos.z = newZ;
+  pos.xz = rotate2D(pos.xz, uScroll * aProgress * PI);
   
-  // Mouse interaction - repel (toned down)
+  // Morph into this section's formation
+  pos = applyFormations(pos, aProgress, aStrand, aRandom);
+
+  // Click shockwaves blow the strands out and let them spring back
+  pos += shockwaveDisplacement(pos, 1.5 * (0.5 + aRandom));
+
+  #ifdef SIMULATION_TARGET
+  // Simulation target pass - store the shape position (pointer forces are simulated)
+  vSimulationTarget = pos;
+  gl_Position = simulationTargetPosition();
+  gl_PointSize = 1.0;
+  return;
+  #endif
+
+  // Pointer interaction
   vec2 mouseWorld = uMouse * uViewport * 0.5;
-  float dist = distance(pos.xy, mouseWorld);
-  float influence = smoothstep(8.0, 0.0, dist); // Increased from 5.0 for wider, gentler falloff
-  vec3 dir = normalize(pos - vec3(mouseWorld, 0.0));
-  pos += dir * influence * 1.0; // Reduced from 2.5 for subtler effect
+  pos += pointerDisplacement(pos, vec3(mouseWorld, 0.0));
+
+  #ifdef SIMULATED
+  pos = texelFetch(uSimulationPositions, simulationCoord(), 0).xyz;
+  #endif
 
   vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
   gl_Position = projectionMatrix * mvPosition;
   
   // Larger particles
-  gl_PointSize = (10.0 * aRandom + 5.0) * (1.0 / -mvPosition.z);
+  gl_PointSize = (10.0 * aRandom + 5.0) * (1.0 + uAudio.w * uAudioSensitivity * 0.5) * (1.0 / -mvPosition.z);
   
   // Color with slight variation along strand
-  float brightness = (0.8 + aProgress * 0.2) * uParticleOpacity;
+  float brightness = (0.8 + aProgress * 0.2 + uAudio.z * uAudioSensitivity * 0.3) * uParticleOpacity;
   vColor = vec3(brightness);
 }
 `
@@ -130,9 +160,15 @@ void main() {
 const EtherealParticles = forwardRef((props, ref) => {
     const mesh = useRef()
     const { viewport } = useThree()
+    const quality = useQuality()
 
-    const strandCount = 5
-    const particlesPerStrand = 3000
+    const {
+        strandCount = HELIX_DEFAULTS.strandCount,
+        particlesPerStrand = HELIX_DEFAULTS.particlesPerStrand,
+        verticalRange = HELIX_DEFAULTS.verticalRange,
+        thickness = HELIX_DEFAULTS.thickness,
+        seed = HELIX_DEFAULTS.seed
+    } = props
     const count = strandCount * particlesPerStrand
 
     const particles = useMemo(() => {
@@ -142,22 +178,24 @@ const EtherealParticles = forwardRef((props, ref) => {
         const progress = new Float32Array(count)
 
         for (let i = 0; i < count; i++) {
-            const strandId = Math.floor(i / particlesPerStrand)
-            const particleId = i % particlesPerStrand
+            // Interleave strands and spread progress with the golden ratio so any
+            // draw-range prefix still covers every strand end to end
+            const strandId = i % strandCount
+            const particleId = Math.floor(i / strandCount)
 
             // Initial positions (will be recalculated in shader)
             positions[i * 3] = 0
             positions[i * 3 + 1] = 0
             positions[i * 3 + 2] = 0
 
-            randoms[i] = Math.random()
+            // Each seed gets its own run of the generator, so a seed always looks the same
+            randoms[i] = seededRandom(seed * count + i)
             strands[i] = strandId
-            progress[i] = particleId / particlesPerStrand
+            progress[i] = (particleId * GOLDEN_RATIO_CONJUGATE) % 1
         }
 
         return { positions, randoms, strands, progress }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [])
+    }, [count, strandCount, seed])
 
     const uniforms = useRef({
         uTime: { value: 0 },
@@ -165,23 +203,50 @@ const EtherealParticles = forwardRef((props, ref) => {
         uMouse: { value: new THREE.Vector2(0, 0) },
         uViewport: { value: new THREE.Vector2(viewport.width, viewport.height) },
         uRotation: { value: 0 },
+        uStrandCount: { value: strandCount },
+        uVerticalRange: { value: verticalRange },
+        uThickness: { value: thickness },
         // State uniforms - initialize with hero state
-        uHelixTightness: { value: particleStates.hero.tightness },
-        uHelixRadius: { value: particleStates.hero.radius },
-        uFlowSpeed: { value: particleStates.hero.speed },
-        uParticleOpacity: { value: particleStates.hero.opacity }
+        uHelixTightness: { value: initialState.tightness },
+        uHelixRadius: { value: initialState.radius },
+        uFlowSpeed: { value: initialState.speed },
+        uParticleOpacity: { value: initialState.opacity },
+        ...createFormationUniforms(initialState),
+        ...createPointerUniforms(initialState.pointer),
+        ...createShockwaveUniforms(),
+        ...createAudioUniforms(initialState.audio),
+        uSimulationPositions: { value: null }
     }).current
 
-    useFrame((state) => {
+    const wakeTrail = useMemo(() => createWakeTrail(uniforms.uWake), [uniforms])
+    const shockwaves = useMemo(() => createShockwaveEmitter(uniforms.uShockwaves), [uniforms])
+    const mouseWorld = useMemo(() => new THREE.Vector2(), [])
+
+    useEffect(() => {
+        uniforms.uStrandCount.value = strandCount
+        uniforms.uVerticalRange.value = verticalRange
+        uniforms.uThickness.value = thickness
+    }, [uniforms, strandCount, verticalRange, thickness])
+
+    // Scale the particle budget with the quality tier
+    useEffect(() => {
+        mesh.current.geometry.setDrawRange(0, Math.ceil(count * quality.particleFraction))
+    }, [quality, count, particles])
+
+    useFrame((state, delta) => {
         const { clock, pointer } = state
         mesh.current.material.uniforms.uTime.value = clock.getElapsedTime()
 
-        // Smooth mouse lerp
-        mesh.current.material.uniforms.uMouse.value.lerp(pointer, 0.1)
+        // Smooth mouse lerp (touch / tilt input when provided)
+        mesh.current.material.uniforms.uMouse.value.lerp(props.pointer || pointer, 0.1)
 
         // Update viewport
         mesh.current.material.uniforms.uViewport.value.set(state.viewport.width, state.viewport.height)
 
+        // Drop wake points along the pointer's path (world units, matching the shader)
+        mouseWorld.copy(uniforms.uMouse.value).multiply(uniforms.uViewport.value).multiplyScalar(0.5)
+        wakeTrail.update(mouseWorld, delta)
+
         // Very slow global rotation for smooth organic movement
         mesh.current.material.uniforms.uRotation.value = clock.getElapsedTime() * 0.02
     })
@@ -208,56 +273,112 @@ const EtherealParticles = forwardRef((props, ref) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [])
 
+    // Music levels into uAudio (silent without an audio source)
+    useAudioReactive(props.audio, uniforms)
+
+    // Optional GPU physics - steps after the frame above has updated the uniforms
+    const simulationDefines = useParticleSimulation({
+        enabled: props.simulation,
+        meshRef: mesh,
+        count,
+        vertexShader,
+        uniforms
+    })
+
+    // Optional motion trails (a screen-space pass, so only on tiers that allow post-processing)
+    const trailSettings = useRef({ ...initialState.trail })
+    const trail = useMotionTrail({
+        enabled: props.trails && quality.postProcessing,
+        meshRef: mesh,
+        settings: trailSettings
+    })
+
     // Expose transition method via ref
     useImperativeHandle(ref, () => ({
         transitionToState: (stateName) => {
             const state = particleStates[stateName]
             if (!state) return
 
-            gsap.to(uniforms.uHelixTightness, { value: state.tightness, duration: 2, ease: "power2.out" })
-            gsap.to(uniforms.uHelixRadius, { value: state.radius, duration: 2, ease: "power2.out" })
-            gsap.to(uniforms.uFlowSpeed, { value: state.speed, duration: 2, ease: "power2.out" })
-            gsap.to(uniforms.uParticleOpacity, { value: state.opacity, duration: 2, ease: "power2.out" })
+            gsap.to(uniforms.uHelixTightness, { value: state.tightness, ...TRANSITION })
+            gsap.to(uniforms.uHelixRadius, { value: state.radius, ...TRANSITION })
+            gsap.to(uniforms.uFlowSpeed, { value: state.speed, ...TRANSITION })
+            gsap.to(uniforms.uParticleOpacity, { value: state.opacity, ...TRANSITION })
+            gsap.to(uniforms.uAudioSensitivity, { value: state.audio, ...TRANSITION })
+            tweenFormationUniforms(uniforms, state, { ...TRANSITION })
+            tweenPointerUniforms(uniforms, state.pointer, { ...TRANSITION })
+            gsap.to(trailSettings.current, { ...state.trail, ...TRANSITION })
+        },
+
+        // Set uniforms directly between two section states (t = 0 -> from, 1 -> to)
+        blendStates: (fromName, toName, t) => {
+            const from = particleStates[fromName]
+            const to = particleStates[toName]
+            if (!from || !to) return
+
+            gsap.killTweensOf([uniforms.uHelixTightness, uniforms.uHelixRadius, uniforms.uFlowSpeed, uniforms.uParticleOpacity, uniforms.uAudioSensitivity])
+            uniforms.uHelixTightness.value = THREE.MathUtils.lerp(from.tightness, to.tightness, t)
+            uniforms.uHelixRadius.value = THREE.MathUtils.lerp(from.radius, to.radius, t)
+            uniforms.uFlowSpeed.value = THREE.MathUtils.lerp(from.speed, to.speed, t)
+            uniforms.uParticleOpacity.value = THREE.MathUtils.lerp(from.opacity, to.opacity, t)
+            uniforms.uAudioSensitivity.value = THREE.MathUtils.lerp(from.audio, to.audio, t)
+            blendFormationUniforms(uniforms, from, to, t)
+            blendPointerUniforms(uniforms, from.pointer, to.pointer, t)
+            gsap.killTweensOf(trailSettings.current)
+            trailSettings.current.length = THREE.MathUtils.lerp(from.trail.length, to.trail.length, t)
+            trailSettings.current.decay = THREE.MathUtils.lerp(from.trail.decay, to.trail.decay, t)
+        },
+
+        // Start a shockwave from a world-space point
+        shockwave: (origin) => {
+            shockwaves.emit(origin, uniforms.uTime.value)
         }
     }))
 
     return (
-        <points ref={mesh}>
-            <bufferGeometry>
-                <bufferAttribute
-                    attach="attributes-position"
-                    count={count}
-                    array={particles.positions}
-                    itemSize={3}
-                />
-                <bufferAttribute
-                    attach="attributes-aRandom"
-                    count={count}
-                    array={particles.randoms}
-                    itemSize={1}
+        <>
+            <points ref={mesh}>
+                {/* Rebuilt when the layout changes - attributes can't be resized in place */}
+                <bufferGeometry key={`${strandCount}x${particlesPerStrand}-${seed}`}>
+                    <bufferAttribute
+                        attach="attributes-position"
+                        count={count}
+                        array={particles.positions}
+                        itemSize={3}
+                    />
+                    <bufferAttribute
+                        attach="attributes-aRandom"
+                        count={count}
+                        array={particles.randoms}
+                        itemSize={1}
+                    />
+                    <bufferAttribute
+                        attach="attributes-aStrand"
+                        count={count}
+                        array={particles.strands}
+                        itemSize={1}
+                    />
+                    <bufferAttribute
+                        attach="attributes-aProgress"
+                        count={count}
+                        array={particles.progress}
+                        itemSize={1}
+                    />
+                </bufferGeometry>
+                <shaderMaterial
+                    key={simulationDefines ? 'simulated-' + simulationDefines.SIMULATION_WIDTH : 'direct'}
+                    defines={simulationDefines}
+                    vertexShader={vertexShader}
+                    fragmentShader={fragmentShader}
+                    uniforms={uniforms}
+                    transparent={true}
+                    depthWrite={false}
+                    blending={THREE.AdditiveBlending}
                 />
-                <bufferAttribute
-                    attach="attributes-aStrand"
-                    count={count}
-                    array={particles.strands}
-                    itemSize={1}
-                />
-                <bufferAttribute
-                    attach="attributes-aProgress"
-                    count={count}
-                    array={particles.progress}
-                    itemSize={1}
-                />
-            </bufferGeometry>
-            <shaderMaterial
-                vertexShader={vertexShader}
-                fragmentShader={fragmentShader}
-                uniforms={uniforms}
-                transparent={true}
-                depthWrite={false}
-                blending={THREE.AdditiveBlending}
-            />
-        </points>
+            </points>
+
+            {/* Trail quad - draws the points and their streaks while trails are on */}
+            {trail && <primitive object={trail.output} />}
+        </>
     )
 })
 
@@ -1,47 +1,85 @@
-import React, { useEffect, useRef, forwardRef, useImperativeHandle, Suspense } from 'react'
+import React, { useEffect, useRef, useState, forwardRef, useImperativeHandle, Suspense } from 'react'
 import { Canvas, useThree } from '@react-three/fiber'
-import gsap from 'gsap'
-import { ScrollTrigger } from 'gsap/ScrollTrigger'
+import * as THREE from 'three'
 import EtherealParticles from './EtherealParticles'
 import CraneParticles from './CraneParticles'
+import QualityManager from './QualityManager'
+import PostProcessing from './PostProcessing'
+import CameraController from './CameraController'
+import PausedOverlay from '../UI/PausedOverlay'
+import { usePointerInput } from '../../hooks/usePointerInput'
+
+// Run both particle systems through the GPU physics backend (velocity, inertia, curl-noise wind)
+// instead of placing every particle directly from its vertex shader
+const PARTICLE_SIMULATION = false
+// Feedback motion trails, tuned per section by each state's `trail` (quality tiers with post-processing only)
+const MOTION_TRAILS = true
+// Hero helix layout - the same seed always gives the same helix
+const HELIX = { strandCount: 5, particlesPerStrand: 3000, verticalRange: 20, thickness: 0.3, seed: 1 }
+// Crane intro - style from REVEAL_STYLES in CraneParticles, duration in seconds, any gsap ease
+// ('fold' folds it from the paper sheet, e.g. { style: 'fold', duration: 4, ease: 'power2.inOut' })
+const CRANE_REVEAL = { style: 'scatter', duration: 3, ease: 'power2.out' }
+// Unfold the crane back into its paper sheet when scrolling up to the hero
+const CRANE_FOLD_ON_SCROLL = false
+// After a context restore the crane is already revealed, so it comes back without the intro
+const RESTORED_REVEAL = { ...CRANE_REVEAL, duration: 0 }
+// Overlay elements whose clicks are their own, not shockwaves
+const INTERACTIVE_ELEMENTS = 'a, button, input, select, textarea, label, [role="button"]'
 
-gsap.registerPlugin(ScrollTrigger)
+const Scene = forwardRef((props, ref) => {
+    const particlesRef = useRef(null)
+    const craneRef = useRef(null)
+    const postRef = useRef(null)
+    const cameraRef = useRef(null)
+    // Mouse, touch and tilt input shared by both particle systems
+    const pointer = usePointerInput()
+    const camera = useThree((state) => state.camera)
+
+    // Clicks / taps anywhere start a shockwave where they hit the z = 0 plane. Listens on
+    // window (the canvas ignores pointer events) and leaves links, buttons and form fields alone.
+    useEffect(() => {
+        if (!props.active) return
 
-function CameraController() {
-    const { camera } = useThree()
+        const raycaster = new THREE.Raycaster()
+        const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0)
+        const ndc = new THREE.Vector2()
+        const origin = new THREE.Vector3()
 
-    useEffect(() => {
-        const tween = gsap.to(camera.position, {
-            scrollTrigger: {
-                trigger: "body",
-                start: "top top",
-                end: "bottom bottom",
-                scrub: 1,
-            },
-            z: 4,
-            x: 0.5,
-            y: 0.5,
-            ease: "none"
-        })
+        const handleClick = (e) => {
+            if (e.target.closest?.(INTERACTIVE_ELEMENTS)) return
 
-        return () => {
-            // Only kill this specific ScrollTrigger, not all of them
-            if (tween.scrollTrigger) {
-                tween.scrollTrigger.kill()
-            }
-            tween.kill()
+            ndc.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1)
+            raycaster.setFromCamera(ndc, camera)
+            if (!raycaster.ray.intersectPlane(plane, origin)) return
+
+            particlesRef.current?.shockwave(origin)
+            craneRef.current?.shockwave(origin)
         }
-    }, [camera])
 
-    return null
-}
+        window.addEventListener('click', handleClick)
+        return () => window.removeEventListener('click', handleClick)
+    }, [props.active, camera])
 
-// Scene component that holds particles and exposes control
-const Scene = forwardRef((props, ref) => {
-    const particlesRef = useRef(null)
-    const craneRef = useRef(null)
+    // Remounted after a context restore - jump straight to the section the page is on
+    useEffect(() => {
+        const last = props.lastState.current
+        if (!last) return
+
+        particlesRef.current?.blendStates(last.from, last.to, last.t)
+        craneRef.current?.blendStates(last.from, last.to, last.t)
+        postRef.current?.blendStates(last.from, last.to, last.t)
+        cameraRef.current?.blendStates(last.from, last.to, last.t)
+    }, [props.lastState])
 
     useImperativeHandle(ref, () => ({
+        // Crane handle for playback control (play, pause, seek, setTimeScale)
+        get crane() {
+            return craneRef.current
+        },
+        // After live edits to the config (tuning panel)
+        statesChanged: () => {
+            craneRef.current?.statesChanged()
+        },
         transitionToState: (stateName) => {
             if (particlesRef.current) {
                 particlesRef.current.transitionToState(stateName)
@@ -49,6 +87,26 @@ const Scene = forwardRef((props, ref) => {
             if (craneRef.current) {
                 craneRef.current.transitionToState(stateName)
             }
+            if (postRef.current) {
+                postRef.current.transitionToState(stateName)
+            }
+            if (cameraRef.current) {
+                cameraRef.current.transitionToState(stateName)
+            }
+        },
+        blendStates: (fromName, toName, t) => {
+            if (particlesRef.current) {
+                particlesRef.current.blendStates(fromName, toName, t)
+            }
+            if (craneRef.current) {
+                craneRef.current.blendStates(fromName, toName, t)
+            }
+            if (postRef.current) {
+                postRef.current.blendStates(fromName, toName, t)
+            }
+            if (cameraRef.current) {
+                cameraRef.current.blendStates(fromName, toName, t)
+            }
         }
     }))
 
@@ -58,13 +116,33 @@ const Scene = forwardRef((props, ref) => {
             <ambientLight intensity={0.5} />
             <pointLight position={[10, 10, 10]} />
 
-            <EtherealParticles ref={particlesRef} />
-
-            <Suspense fallback={null}>
-                <CraneParticles ref={craneRef} />
-            </Suspense>
-
-            <CameraController />
+            <QualityManager active={props.active}>
+                <EtherealParticles
+                    ref={particlesRef}
+                    {...HELIX}
+                    pointer={pointer}
+                    audio={props.audio}
+                    simulation={PARTICLE_SIMULATION}
+                    trails={MOTION_TRAILS}
+                />
+
+                <Suspense fallback={null}>
+                    <CraneParticles
+                        ref={craneRef}
+                        helix={HELIX}
+                        pointer={pointer}
+                        audio={props.audio}
+                        simulation={PARTICLE_SIMULATION}
+                        trails={MOTION_TRAILS}
+                        reveal={props.restored ? RESTORED_REVEAL : CRANE_REVEAL}
+                        foldOnScroll={CRANE_FOLD_ON_SCROLL}
+                    />
+                </Suspense>
+
+                <PostProcessing ref={postRef} />
+            </QualityManager>
+
+            <CameraController ref={cameraRef} />
         </>
     )
 })
@@ -73,23 +151,81 @@ Scene.displayName = 'Scene'
 
 const Experience = forwardRef((props, ref) => {
     const sceneRef = useRef()
+    // Last section state applied, re-applied to the rebuilt scene after a context restore
+    const lastState = useRef(null)
+    const [contextLost, setContextLost] = useState(false)
+    // Bumped on every context restore to rebuild the scene with fresh GPU resources
+    const [generation, setGeneration] = useState(0)
+    const [canvas, setCanvas] = useState(null)
+
+    // three re-uploads what it can on restore, but render targets (simulation state, trails,
+    // composer) come back empty and mid-flight tweens have kept running without frames -
+    // so pause while lost and remount the scene from scratch once the context is back
+    useEffect(() => {
+        if (!canvas) return
+
+        const handleLost = () => setContextLost(true)
+        const handleRestored = () => {
+            setGeneration((g) => g + 1)
+            setContextLost(false)
+        }
+
+        canvas.addEventListener('webglcontextlost', handleLost)
+        canvas.addEventListener('webglcontextrestored', handleRestored)
+        return () => {
+            canvas.removeEventListener('webglcontextlost', handleLost)
+            canvas.removeEventListener('webglcontextrestored', handleRestored)
+        }
+    }, [canvas])
+
+    // Geometries and materials declared in JSX are disposed by R3F on unmount, the rest
+    // (keyframe texture, simulation, trails, composer) by their own components - this
+    // frees the loader cache, which would otherwise keep the keyframes alive
+    useEffect(() => {
+        return () => CraneParticles.clearCache()
+    }, [])
 
     useImperativeHandle(ref, () => ({
+        get crane() {
+            return sceneRef.current?.crane
+        },
+        statesChanged: () => {
+            sceneRef.current?.statesChanged()
+        },
         transitionToState: (stateName) => {
+            lastState.current = { from: stateName, to: stateName, t: 1 }
             if (sceneRef.current) {
                 sceneRef.current.transitionToState(stateName)
             }
+        },
+        blendStates: (fromName, toName, t) => {
+            lastState.current = { from: fromName, to: toName, t }
+            if (sceneRef.current) {
+                sceneRef.current.blendStates(fromName, toName, t)
+            }
         }
     }))
 
     return (
-        <Canvas
-            camera={{ position: [0, 0, 5], fov: 45 }}
-            dpr={[1, 2]}
-            gl={{ antialias: true, alpha: true }}
-        >
-            <Scene ref={sceneRef} />
-        </Canvas>
+        <>
+            <Canvas
+                camera={{ position: [0, 0, 5], fov: 45 }}
+                dpr={[1, 2]}
+                gl={{ antialias: true, alpha: true }}
+                frameloop={contextLost ? 'never' : 'always'}
+                onCreated={({ gl }) => setCanvas(gl.domElement)}
+            >
+                <Scene
+                    key={generation}
+                    ref={sceneRef}
+                    active={props.active}
+                    audio={props.audio}
+                    restored={generation > 0}
+                    lastState={lastState}
+                />
+            </Canvas>
+            <PausedOverlay visible={contextLost} />
+        </>
     )
 })
 
@@ -0,0 +1,187 @@
+import React, { useRef, useMemo, useEffect, forwardRef, useImperativeHandle } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import gsap from 'gsap'
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js'
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js'
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js'
+import { LUTPass } from 'three/examples/jsm/postprocessing/LUTPass.js'
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js'
+import { useQuality } from '../../hooks/useQuality'
+import { COLOR_GRADES, createGradeLut } from '../../utils/colorGrades'
+import { SECTIONS, TRANSITION, sectionStates } from '../../config/experience'
+
+// Post-processing state definitions for each section, from src/config/experience.json
+// bloom* = glow around the additive particles, grain = film grain amount,
+// vignette = edge darkening (0-1), aberration = chromatic fringe towards the edges (uv units),
+// lut = colour grade from COLOR_GRADES, lutIntensity = how strongly it's applied (0-1)
+const postStates = sectionStates('post')
+// Where everything starts - the first section
+const initialState = postStates[SECTIONS[0].id]
+
+// Chromatic aberration, vignette and film grain in one pass
+const finishShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        uTime: { value: 0 },
+        uGrain: { value: 0 },
+        uVignette: { value: 0 },
+        uAberration: { value: 0 }
+    },
+    vertexShader: `
+varying vec2 vUv;
+
+void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`,
+    fragmentShader: `
+uniform sampler2D tDiffuse;
+uniform float uTime;
+uniform float uGrain;
+uniform float uVignette;
+uniform float uAberration;
+
+varying vec2 vUv;
+
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main() {
+    // Pull red and blue apart, more towards the edges
+    vec2 offset = (vUv - 0.5) * uAberration;
+    vec4 color = texture2D(tDiffuse, vUv);
+    color.r = texture2D(tDiffuse, vUv + offset).r;
+    color.b = texture2D(tDiffuse, vUv - offset).b;
+
+    // Darken the corners
+    float edge = length(vUv - 0.5) * 1.414;
+    color.rgb *= 1.0 - uVignette * smoothstep(0.4, 1.0, edge);
+
+    // Grain re-rolled every frame
+    color.rgb += (hash(vUv * 1000.0 + fract(uTime) * 100.0) - 0.5) * uGrain;
+
+    gl_FragColor = color;
+}
+`
+}
+
+// The composer itself - mounted only while the quality tier allows post-processing.
+// Takes over rendering (frame priority 1) and reads the tweened params every frame.
+function EffectStack({ params }) {
+    const gl = useThree((state) => state.gl)
+    const scene = useThree((state) => state.scene)
+    const camera = useThree((state) => state.camera)
+    const size = useThree((state) => state.size)
+    const dpr = useThree((state) => state.viewport.dpr)
+
+    const stack = useMemo(() => {
+        const composer = new EffectComposer(gl)
+        const bloomPass = new UnrealBloomPass(new THREE.Vector2(size.width, size.height))
+        const lutPass = new LUTPass()
+        const finishPass = new ShaderPass(finishShader)
+
+        composer.addPass(new RenderPass(scene, camera))
+        composer.addPass(bloomPass)
+        composer.addPass(lutPass)
+        // Last pass renders straight to screen - no OutputPass, as the point shaders already
+        // output display values and were tuned without colour space conversion
+        composer.addPass(finishPass)
+
+        const luts = Object.fromEntries(Object.keys(COLOR_GRADES).map((name) => [name, createGradeLut(name)]))
+
+        return { composer, bloomPass, lutPass, finishPass, luts }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [gl, scene, camera])
+
+    useEffect(() => {
+        stack.composer.setPixelRatio(dpr)
+        stack.composer.setSize(size.width, size.height)
+    }, [stack, size, dpr])
+
+    useEffect(() => {
+        return () => {
+            stack.composer.passes.forEach((pass) => pass.dispose())
+            stack.composer.dispose()
+            Object.values(stack.luts).forEach((lut) => lut.dispose())
+        }
+    }, [stack])
+
+    useFrame((state, delta) => {
+        const p = params.current
+        const { bloomPass, lutPass, finishPass } = stack
+
+        bloomPass.strength = p.bloomStrength
+        bloomPass.radius = p.bloomRadius
+        bloomPass.threshold = p.bloomThreshold
+        lutPass.lut = stack.luts[p.lut] || stack.luts.neutral
+        lutPass.intensity = p.lutIntensity
+        finishPass.uniforms.uTime.value = state.clock.elapsedTime
+        finishPass.uniforms.uGrain.value = p.grain
+        finishPass.uniforms.uVignette.value = p.vignette
+        finishPass.uniforms.uAberration.value = p.aberration
+
+        stack.composer.render(delta)
+    }, 1)
+
+    return null
+}
+
+// Bloom, colour grade, chromatic aberration, vignette and grain over the whole scene,
+// with parameters per section. Switched off entirely on tiers without post-processing.
+const PostProcessing = forwardRef((props, ref) => {
+    const quality = useQuality()
+
+    // Current values - tweened here, applied by EffectStack (kept while it remounts on tier changes)
+    const params = useRef({ ...initialState })
+
+    useImperativeHandle(ref, () => ({
+        transitionToState: (stateName) => {
+            const state = postStates[stateName]
+            if (!state) return
+
+            const p = params.current
+            const { lut, lutIntensity, ...values } = state
+            gsap.killTweensOf(p)
+            gsap.to(p, { ...values, ...TRANSITION })
+
+            // A different grade fades the current one out, swaps, and fades the new one in
+            if (lut !== p.lut) {
+                gsap.timeline()
+                    .to(p, { lutIntensity: 0, duration: TRANSITION.duration / 2, ease: 'power1.in', onComplete: () => { p.lut = lut } })
+                    .to(p, { lutIntensity, duration: TRANSITION.duration / 2, ease: 'power1.out' })
+            } else {
+                gsap.to(p, { lutIntensity, ...TRANSITION })
+            }
+        },
+
+        // Set values directly between two section states (t = 0 -> from, 1 -> to)
+        blendStates: (fromName, toName, t) => {
+            const from = postStates[fromName]
+            const to = postStates[toName]
+            if (!from || !to) return
+
+            const p = params.current
+            gsap.killTweensOf(p)
+            Object.keys(from).forEach((key) => {
+                if (typeof from[key] === 'number') p[key] = THREE.MathUtils.lerp(from[key], to[key], t)
+            })
+
+            // Grades can't be mixed by one LUT, so cross through zero intensity halfway
+            if (from.lut !== to.lut) {
+                p.lut = t < 0.5 ? from.lut : to.lut
+                p.lutIntensity = t < 0.5 ? from.lutIntensity * (1 - t * 2) : to.lutIntensity * (t * 2 - 1)
+            }
+        }
+    }))
+
+    if (!quality.postProcessing) return null
+
+    return <EffectStack params={params} />
+})
+
+PostProcessing.displayName = 'PostProcessing'
+
+export default PostProcessing
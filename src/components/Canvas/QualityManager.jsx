@@ -0,0 +1,118 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import { QUALITY_TIERS, DEFAULT_QUALITY_TIER, QualityContext } from '../../hooks/useQuality'
+
+// Average frame times (ms) that trigger a step down / up - the gap between them is the hysteresis band
+const DOWNGRADE_FRAME_TIME = 1000 / 45
+const UPGRADE_FRAME_TIME = 1000 / 57
+// Seconds of frames averaged per evaluation
+const SAMPLE_WINDOW = 1
+// Consecutive slow / fast windows needed before stepping down / up
+const DOWNGRADE_WINDOWS = 2
+const UPGRADE_WINDOWS = 5
+// Benchmark after activation: warm-up (shader compiles) then measurement, in seconds
+const BENCHMARK_WARMUP = 0.5
+const BENCHMARK_DURATION = 2.5
+// Rough render cost ratio between neighbouring tiers, used to jump after the benchmark
+const TIER_COST_RATIO = 1.5
+// Longer deltas are tab switches or hitches, not rendering cost
+const MAX_FRAME_TIME = 250
+
+const createMonitor = () => ({
+    elapsed: 0,
+    benchmarked: false,
+    windowTime: 0,
+    windowFrames: 0,
+    slowWindows: 0,
+    fastWindows: 0,
+    // Downgrades out of each tier - every one doubles the fast windows needed to return to it
+    failures: QUALITY_TIERS.map(() => 0)
+})
+
+// Benchmarks the first seconds after activation, then keeps watching frame times and
+// steps the shared quality tier down or up. Children read it through useQuality().
+export default function QualityManager({ active, children }) {
+    const setDpr = useThree((state) => state.setDpr)
+    const [tierIndex, setTierIndex] = useState(DEFAULT_QUALITY_TIER)
+    const monitor = useRef(createMonitor())
+    const tier = QUALITY_TIERS[tierIndex]
+
+    useEffect(() => {
+        setDpr(Math.min(tier.dpr, window.devicePixelRatio))
+    }, [tier, setDpr])
+
+    // Start a fresh benchmark whenever the experience becomes active
+    useEffect(() => {
+        if (active) monitor.current = createMonitor()
+    }, [active])
+
+    const changeTier = (index) => {
+        const m = monitor.current
+        const next = THREE.MathUtils.clamp(index, 0, QUALITY_TIERS.length - 1)
+        if (next < tierIndex) m.failures[tierIndex]++
+        m.slowWindows = 0
+        m.fastWindows = 0
+        if (next !== tierIndex) setTierIndex(next)
+    }
+
+    useFrame((state, delta) => {
+        if (!active || delta * 1000 > MAX_FRAME_TIME) return
+
+        const m = monitor.current
+        m.elapsed += delta
+        if (m.elapsed < BENCHMARK_WARMUP) return
+
+        m.windowTime += delta
+        m.windowFrames++
+
+        if (!m.benchmarked) {
+            if (m.elapsed < BENCHMARK_WARMUP + BENCHMARK_DURATION) return
+
+            // Jump straight to the tier the measured frame time suggests
+            const average = (m.windowTime * 1000) / m.windowFrames
+            let steps = 0
+            if (average > DOWNGRADE_FRAME_TIME) {
+                steps = -Math.ceil(Math.log(average / UPGRADE_FRAME_TIME) / Math.log(TIER_COST_RATIO))
+            } else if (average < UPGRADE_FRAME_TIME) {
+                steps = 1
+            }
+
+            m.benchmarked = true
+            m.windowTime = 0
+            m.windowFrames = 0
+            changeTier(tierIndex + steps)
+            return
+        }
+
+        if (m.windowTime < SAMPLE_WINDOW) return
+
+        const average = (m.windowTime * 1000) / m.windowFrames
+        m.windowTime = 0
+        m.windowFrames = 0
+
+        if (average > DOWNGRADE_FRAME_TIME) {
+            m.slowWindows++
+            m.fastWindows = 0
+        } else if (average < UPGRADE_FRAME_TIME) {
+            m.fastWindows++
+            m.slowWindows = 0
+        } else {
+            m.slowWindows = 0
+            m.fastWindows = 0
+        }
+
+        if (m.slowWindows >= DOWNGRADE_WINDOWS && tierIndex > 0) {
+            changeTier(tierIndex - 1)
+        } else if (tierIndex < QUALITY_TIERS.length - 1 &&
+            m.fastWindows >= UPGRADE_WINDOWS * 2 ** m.failures[tierIndex + 1]) {
+            changeTier(tierIndex + 1)
+        }
+    })
+
+    return (
+        <QualityContext.Provider value={tier}>
+            {children}
+        </QualityContext.Provider>
+    )
+}
@@ -1,10 +1,14 @@
 import React from 'react'
 import { gsap } from 'gsap'
+import { requestOrientationPermission } from '../../hooks/usePointerInput'
 
 export default function EnterScreen({ onEnter }) {
     const containerRef = React.useRef(null)
 
     const handleEnter = () => {
+        // Must be asked from this tap on iOS - tilt just stays off if declined
+        requestOrientationPermission()
+
         gsap.to(containerRef.current, {
             opacity: 0,
             duration: 1.5,
@@ -0,0 +1,28 @@
+import React from 'react'
+
+// Shown over the canvas while the WebGL context is lost (e.g. a backgrounded tab on iOS)
+export default function PausedOverlay({ visible }) {
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            width: '100%',
+            height: '100%',
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'center',
+            alignItems: 'center',
+            backgroundColor: 'rgba(0, 0, 0, 0.85)',
+            color: '#fff',
+            fontFamily: 'Montserrat, sans-serif',
+            opacity: visible ? 1 : 0,
+            transition: 'opacity 0.6s ease',
+            pointerEvents: 'none',
+            zIndex: 20
+        }}>
+            <h2 style={{ fontSize: '1.25rem', fontWeight: 700, letterSpacing: '0.2em', marginBottom: '1rem' }}>PAUSED</h2>
+            <p style={{ fontSize: '0.8rem', opacity: 0.6, letterSpacing: '0.1em' }}>[ RESTORING THE CRANE ]</p>
+        </div>
+    )
+}
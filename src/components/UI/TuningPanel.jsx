@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react'
+import { SECTIONS, sectionStates, serializeConfig } from '../../config/experience'
+import { stateFieldSchema } from '../../config/experienceSchema'
+import { CRANE_CLIPS } from '../../utils/craneKeyframes'
+
+// Key that opens / closes the panel (it also starts open with ?debug in the URL)
+const TOGGLE_KEY = '`'
+
+// Editable systems - their states for every section, straight from the config
+const TABLES = {
+    crane: sectionStates('crane'),
+    particles: sectionStates('particles'),
+    post: sectionStates('post'),
+    camera: sectionStates('camera')
+}
+
+// Every editable value in a state as [path, value], e.g. [['pointer', 'radius'], 4]
+const flattenState = (value, path = []) => {
+    if (value !== null && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, child]) => flattenState(child, [...path, key]))
+    }
+    return [[path, value]]
+}
+
+const setPath = (target, path, value) => {
+    const parent = path.slice(0, -1).reduce((object, key) => object[key], target)
+    parent[path[path.length - 1]] = value
+}
+
+const labelStyle = { display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.35rem' }
+const nameStyle = { width: '9rem', flexShrink: 0, opacity: 0.7 }
+const buttonStyle = {
+    background: 'transparent',
+    color: '#fff',
+    border: '1px solid rgba(255, 255, 255, 0.4)',
+    padding: '0.35rem 0.6rem',
+    fontFamily: 'inherit',
+    fontSize: 'inherit',
+    letterSpacing: '0.1em',
+    cursor: 'pointer'
+}
+
+// Dev-only overlay for live-editing the section states. Edits the config in place, previews
+// through transitionToState and exports the result as experience.json to paste back.
+export default function TuningPanel({ experienceRef }) {
+    const [open, setOpen] = useState(() => new URLSearchParams(window.location.search).has('debug'))
+    const [tableName, setTableName] = useState('crane')
+    const [section, setSection] = useState(SECTIONS[0].id)
+    const [, setRevision] = useState(0)
+    const [status, setStatus] = useState('')
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key !== TOGGLE_KEY || e.target.closest?.('input, select, textarea')) return
+            setOpen((value) => !value)
+        }
+
+        window.addEventListener('keydown', handleKey)
+        return () => window.removeEventListener('keydown', handleKey)
+    }, [])
+
+    if (!open) return null
+
+    const table = TABLES[tableName]
+    const state = table[section]
+
+    const handleChange = (path, value) => {
+        setPath(state, path, value)
+        // Held clips take no speed and animated ones need one, as the config schema expects
+        if (tableName === 'crane' && path[0] === 'clip') {
+            if (CRANE_CLIPS[value].hold !== undefined) delete state.animationSpeed
+            else state.animationSpeed ??= 1
+        }
+        experienceRef.current?.statesChanged()
+        experienceRef.current?.transitionToState(section)
+        setRevision((r) => r + 1)
+    }
+
+    const handleCopy = () => {
+        navigator.clipboard.writeText(serializeConfig())
+            .then(() => setStatus('Copied'))
+            .catch(() => setStatus('Copy failed'))
+    }
+
+    const handleDownload = () => {
+        const url = URL.createObjectURL(new Blob([serializeConfig()], { type: 'application/json' }))
+        const link = document.createElement('a')
+        link.href = url
+        link.download = 'experience.json'
+        link.click()
+        URL.revokeObjectURL(url)
+    }
+
+    return (
+        <div
+            onClick={(e) => e.stopPropagation()}
+            style={{
+                position: 'fixed',
+                top: 0,
+                right: 0,
+                width: '24rem',
+                maxWidth: '100%',
+                height: '100%',
+                overflowY: 'auto',
+                padding: '1rem',
+                boxSizing: 'border-box',
+                backgroundColor: 'rgba(0, 0, 0, 0.85)',
+                color: '#fff',
+                fontFamily: 'Montserrat, sans-serif',
+                fontSize: '0.7rem',
+                zIndex: 200
+            }}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+                <h2 style={{ fontSize: '0.8rem', fontWeight: 700, letterSpacing: '0.2em', margin: 0 }}>TUNING</h2>
+                <button style={buttonStyle} onClick={() => setOpen(false)}>CLOSE [ {TOGGLE_KEY} ]</button>
+            </div>
+
+            <div style={{ ...labelStyle, marginBottom: '1rem' }}>
+                <select value={tableName} onChange={(e) => setTableName(e.target.value)}>
+                    {Object.keys(TABLES).map((name) => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <select value={section} onChange={(e) => setSection(e.target.value)}>
+                    {Object.keys(table).map((name) => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <button style={buttonStyle} onClick={() => experienceRef.current?.transitionToState(section)}>PREVIEW</button>
+            </div>
+
+            {flattenState(state).map(([path, value]) => {
+                const name = path.join('.')
+                const schema = stateFieldSchema(tableName, path)
+
+                if (typeof value === 'boolean') {
+                    return (
+                        <label key={name} style={labelStyle}>
+                            <span style={nameStyle}>{name}</span>
+                            <input type="checkbox" checked={value} onChange={(e) => handleChange(path, e.target.checked)} />
+                        </label>
+                    )
+                }
+
+                if (typeof value === 'string') {
+                    return (
+                        <label key={name} style={labelStyle}>
+                            <span style={nameStyle}>{name}</span>
+                            <select value={value} onChange={(e) => handleChange(path, e.target.value)}>
+                                {(schema?.values || [value]).map((option) => <option key={option} value={option}>{option}</option>)}
+                            </select>
+                        </label>
+                    )
+                }
+
+                const min = schema?.min ?? 0
+                const max = schema?.max ?? 1
+                return (
+                    <label key={name} style={labelStyle}>
+                        <span style={nameStyle}>{name}</span>
+                        <input
+                            type="range"
+                            min={Math.min(min, value)}
+                            max={Math.max(max, value)}
+                            step={(max - min) / 200}
+                            value={value}
+                            onChange={(e) => handleChange(path, Number(e.target.value))}
+                            style={{ flex: 1 }}
+                        />
+                        <span style={{ width: '3rem', textAlign: 'right' }}>{Number(value.toFixed(3))}</span>
+                    </label>
+                )
+            })}
+
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginTop: '1rem' }}>
+                <button style={buttonStyle} onClick={handleCopy}>COPY JSON</button>
+                <button style={buttonStyle} onClick={handleDownload}>DOWNLOAD</button>
+                <span style={{ opacity: 0.6 }}>{status}</span>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,19 @@
+import config from './experience.json'
+
+// The experience config - validated against experienceSchema when it's loaded, at build
+// and dev time (plugins/validateExperienceConfig.js), along with ContentSections having copy
+// for exactly its sections, so the rest of the app can trust it
+
+// Sections in scroll order, with the id of the div that triggers each
+export const SECTIONS = config.sections.map(({ id }) => ({ id, triggerId: `trigger-${id}` }))
+
+// Duration and ease of tweened section transitions
+export const TRANSITION = config.transition
+
+// One system's state for every section ('crane', 'particles', 'post' or 'camera'), keyed by
+// section id. These are the config's own objects, so live edits show up in serializeConfig().
+export const sectionStates = (system) => Object.fromEntries(config.sections.map((section) => [section.id, section[system]]))
+
+// The config as experience.json text (with any live edits) - arrays of numbers kept on one line
+export const serializeConfig = () => JSON.stringify(config, null, 4)
+    .replace(/\[\s+([^[\]{}]*?)\s+\]/g, (_, items) => `[${items.split(/,\s+/).join(', ')}]`) + '\n'
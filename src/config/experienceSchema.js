@@ -0,0 +1,167 @@
+import { CRANE_CLIPS } from '../utils/craneKeyframes'
+import { POINTER_MODES } from '../utils/pointerInteraction'
+import { FORMATIONS } from '../utils/formations'
+import { COLOR_GRADES } from '../utils/colorGrades'
+
+// Schema building blocks - `optional` fields may be left out
+const number = (min, max) => ({ type: 'number', min, max })
+const oneOf = (values) => ({ type: 'enum', values })
+const object = (fields) => ({ type: 'object', fields })
+const arrayOf = (items, { length, minLength } = {}) => ({ type: 'array', items, length, minLength })
+const vector3 = (min, max) => arrayOf(number(min, max), { length: 3 })
+const optional = (schema) => ({ ...schema, optional: true })
+const string = (pattern) => ({ type: 'string', pattern })
+
+const pointer = (maxRadius) => object({ mode: oneOf(POINTER_MODES), radius: number(0, maxRadius), strength: number(0, 3) })
+const trail = object({ length: number(0, 2), decay: number(0, 5) })
+
+// src/config/experience.json - the sections in scroll order, each with the visual state of every
+// system, and the timing of tweened section transitions. Field meanings are documented next to
+// each system's state table (CraneParticles, EtherealParticles, PostProcessing, CameraController).
+export const experienceSchema = object({
+    transition: object({ duration: number(0, 10), ease: string() }),
+    sections: arrayOf(object({
+        id: string(/^[a-z][a-z0-9-]*$/),
+        crane: object({
+            clip: oneOf(Object.keys(CRANE_CLIPS)),
+            // Only for animated clips - held ones are a single pose (checked below)
+            animationSpeed: optional(number(0, 5)),
+            scale: number(1, 100),
+            opacity: number(0, 1),
+            colorAmount: number(0, 1),
+            dispersion: number(0, 2),
+            noiseIntensity: number(0, 1),
+            position: vector3(-10, 10),
+            via: optional(arrayOf(vector3(-10, 10))),
+            rotation: vector3(-Math.PI * 2, Math.PI * 2),
+            pointer: pointer(10),
+            audio: number(0, 2),
+            trail
+        }),
+        particles: object({
+            tightness: number(0, 10),
+            radius: number(0, 10),
+            speed: number(0, 3),
+            opacity: number(0, 1),
+            formation: oneOf(FORMATIONS),
+            morph: number(0, 1),
+            pointer: pointer(15),
+            audio: number(0, 2),
+            trail
+        }),
+        post: object({
+            bloomStrength: number(0, 3),
+            bloomRadius: number(0, 1),
+            bloomThreshold: number(0, 1),
+            grain: number(0, 0.5),
+            vignette: number(0, 1),
+            aberration: number(0, 0.02),
+            lut: oneOf(Object.keys(COLOR_GRADES)),
+            lutIntensity: number(0, 1)
+        }),
+        camera: object({
+            position: vector3(-20, 20),
+            lookAt: vector3(-20, 20),
+            fov: number(10, 120),
+            orbit: number(0, Math.PI / 2),
+            dolly: number(0, 5)
+        })
+    }), { minLength: 2 })
+})
+
+const describe = (value) => JSON.stringify(value) ?? String(value)
+
+function check(schema, value, path, errors) {
+    switch (schema.type) {
+        case 'object': {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path}: expected an object, got ${describe(value)}`)
+                return
+            }
+            Object.keys(value).forEach((key) => {
+                if (!(key in schema.fields)) errors.push(`${path}.${key}: unknown field`)
+            })
+            Object.entries(schema.fields).forEach(([key, field]) => {
+                if (value[key] === undefined) {
+                    if (!field.optional) errors.push(`${path}.${key}: missing field`)
+                    return
+                }
+                check(field, value[key], `${path}.${key}`, errors)
+            })
+            return
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                errors.push(`${path}: expected an array, got ${describe(value)}`)
+                return
+            }
+            if (schema.length !== undefined && value.length !== schema.length) {
+                errors.push(`${path}: expected ${schema.length} items, got ${value.length}`)
+            }
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path}: expected at least ${schema.minLength} items, got ${value.length}`)
+            }
+            value.forEach((item, i) => {
+                // Name sections by id, so errors point at the right one
+                const label = typeof item?.id === 'string' ? ` (${item.id})` : ''
+                check(schema.items, item, `${path}[${i}]${label}`, errors)
+            })
+            return
+        }
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${path}: expected a number, got ${describe(value)}`)
+            } else if (value < schema.min || value > schema.max) {
+                errors.push(`${path}: ${value} is out of range (${schema.min} to ${schema.max})`)
+            }
+            return
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push(`${path}: expected a string, got ${describe(value)}`)
+            } else if (schema.pattern && !schema.pattern.test(value)) {
+                errors.push(`${path}: ${describe(value)} doesn't match ${schema.pattern}`)
+            }
+            return
+        case 'enum':
+            if (!schema.values.includes(value)) {
+                errors.push(`${path}: unknown value ${describe(value)} (expected one of ${schema.values.join(', ')})`)
+            }
+            return
+    }
+}
+
+/**
+ * Checks an experience config against experienceSchema. Returns a list of readable
+ * problems (empty when valid), each prefixed with the path of the offending value.
+ */
+export function validateExperienceConfig(config) {
+    const errors = []
+    check(experienceSchema, config, 'config', errors)
+
+    const seen = new Set()
+    config?.sections?.forEach?.((section, i) => {
+        if (seen.has(section?.id)) errors.push(`config.sections[${i}]: duplicate section id ${describe(section.id)}`)
+        seen.add(section?.id)
+
+        // A held clip never advances, so a speed on it would silently do nothing
+        const clip = CRANE_CLIPS[section?.crane?.clip]
+        if (!clip) return
+        const path = `config.sections[${i}] (${section.id}).crane.animationSpeed`
+        if (clip.hold !== undefined && section.crane.animationSpeed !== undefined) {
+            errors.push(`${path}: clip "${section.crane.clip}" is a held pose, so it has no animation speed - remove it`)
+        } else if (clip.hold === undefined && section.crane.animationSpeed === undefined) {
+            errors.push(`${path}: missing field (clip "${section.crane.clip}" is animated)`)
+        }
+    })
+
+    return errors
+}
+
+// Schema node for a path within one section's system state (e.g. ['pointer', 'radius']),
+// array indices included - used by the tuning panel for slider ranges and choices
+export function stateFieldSchema(system, path) {
+    return path.reduce((schema, key) => {
+        if (!schema) return null
+        return schema.type === 'array' ? schema.items : schema.fields?.[key]
+    }, experienceSchema.fields.sections.items.fields[system])
+}
@@ -1,8 +1,12 @@
 import { useState, useEffect, useRef } from 'react'
+import { AudioAnalyser } from '../utils/AudioAnalyser'
 
+// Looping background track. Also returns an AudioAnalyser of it (band levels and beats)
+// for audio-reactive visuals - it starts analysing once playback starts.
 export const useAudio = (url) => {
     const audioRef = useRef(null)
     const [playing, setPlaying] = useState(false)
+    const [analyser] = useState(() => new AudioAnalyser())
 
     // Initialize audio ref once
     if (audioRef.current === null) {
@@ -17,8 +21,12 @@ export const useAudio = (url) => {
         const audio = audioRef.current
         if (!audio) return
 
+        if (playing) analyser.connect(audio)
         playing ? audio.play().catch(e => console.error("Audio play failed", e)) : audio.pause()
-    }, [playing])
+    }, [playing, analyser])
+
+    // Close the AudioContext and stop the analysis loop with the hook
+    useEffect(() => () => analyser.dispose(), [analyser])
 
     useEffect(() => {
         const audio = audioRef.current
@@ -31,5 +39,5 @@ export const useAudio = (url) => {
         }
     }, [])
 
-    return [playing, toggle]
+    return [playing, toggle, analyser]
 }
@@ -0,0 +1,33 @@
+import { useEffect, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+
+// Seconds for a beat pulse to fade to ~37%
+const BEAT_DECAY = 0.25
+
+// x = bass, y = mid, z = high, w = beat pulse (all 0-1), scaled in the shaders by the
+// section's uAudioSensitivity
+export function createAudioUniforms(sensitivity) {
+    return {
+        uAudio: { value: new THREE.Vector4() },
+        uAudioSensitivity: { value: sensitivity }
+    }
+}
+
+// Feeds an AudioAnalyser (or nothing - silence) into uAudio every frame
+export const useAudioReactive = (source, uniforms) => {
+    const pulse = useRef(0)
+
+    useEffect(() => {
+        if (!source) return
+        return source.subscribe((levels) => {
+            if (levels.beat) pulse.current = 1
+        })
+    }, [source])
+
+    useFrame((state, delta) => {
+        pulse.current *= Math.exp(-delta / BEAT_DECAY)
+        const levels = source?.levels
+        uniforms.uAudio.value.set(levels?.bass || 0, levels?.mid || 0, levels?.high || 0, pulse.current)
+    })
+}
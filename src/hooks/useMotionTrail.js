@@ -0,0 +1,38 @@
+import { useEffect, useMemo } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { MotionTrail, TRAIL_LAYER } from '../utils/MotionTrail'
+
+// Optional feedback trail for a particle system (see MotionTrail). While enabled and the
+// current length is above 0, the points are moved to TRAIL_LAYER and drawn through the trail,
+// so the caller must render the returned trail's `output` quad. `settings` is a ref holding
+// the current { length, decay }. With no trail to draw the points stay in the main render
+// and the trail passes are skipped.
+export const useMotionTrail = ({ enabled, meshRef, settings }) => {
+    const trail = useMemo(() => (enabled ? new MotionTrail() : null), [enabled])
+
+    useEffect(() => {
+        if (!trail) return
+        return () => trail.dispose()
+    }, [trail])
+
+    useEffect(() => {
+        const mesh = meshRef.current
+        if (!trail || !mesh) return
+        return () => mesh.layers.set(0)
+    }, [trail, meshRef])
+
+    useFrame((state, delta) => {
+        const mesh = meshRef.current
+        if (!trail || !mesh) return
+
+        const active = settings.current.length > 0
+        if (active !== trail.active) {
+            mesh.layers.set(active ? TRAIL_LAYER : 0)
+            trail.setActive(active, state.gl)
+        }
+
+        if (active) trail.render(state.gl, mesh, state.camera, delta, settings.current)
+    })
+
+    return trail
+}
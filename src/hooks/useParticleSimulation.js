@@ -0,0 +1,48 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import { ParticleSimulation } from '../utils/ParticleSimulation'
+
+// Optional GPU physics for a point cloud (see ParticleSimulation). Steps after the calling
+// component's own useFrame, so it sees this frame's uniforms. Returns the defines to compile
+// the visible material with - undefined (direct positions) when disabled or unsupported.
+export const useParticleSimulation = ({ enabled, meshRef, count, vertexShader, uniforms, params }) => {
+    const gl = useThree((state) => state.gl)
+    const pointerWorld = useMemo(() => new THREE.Vector2(), [])
+    const [simulation, setSimulation] = useState(null)
+
+    // Latest physics params - applied to the running simulation rather than rebuilding it
+    const paramsRef = useRef(params)
+    useEffect(() => {
+        paramsRef.current = params
+        simulation?.setParams(params)
+    }, [simulation, params])
+
+    // Create the GPU objects when enabled, and dispose them on change or unmount
+    useEffect(() => {
+        if (!enabled || !count) return
+
+        let created
+        try {
+            created = new ParticleSimulation(gl, { count, vertexShader, uniforms, params: paramsRef.current })
+        } catch (error) {
+            console.warn('GPU particle simulation unavailable, drawing direct positions', error)
+            return
+        }
+        setSimulation(created)
+
+        return () => {
+            created.dispose()
+            setSimulation(null)
+        }
+    }, [enabled, count, gl, vertexShader, uniforms])
+
+    useFrame((state, delta) => {
+        if (!simulation || !meshRef.current) return
+
+        pointerWorld.copy(uniforms.uMouse.value).multiply(uniforms.uViewport.value).multiplyScalar(0.5)
+        simulation.step(meshRef.current.geometry, delta, pointerWorld)
+    })
+
+    return simulation ? { SIMULATED: '', SIMULATION_WIDTH: simulation.width } : undefined
+}
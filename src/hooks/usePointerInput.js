@@ -0,0 +1,88 @@
+import { useEffect, useMemo } from 'react'
+import * as THREE from 'three'
+
+// Degrees of tilt that move the pointer from the centre to the screen edge
+const TILT_RANGE = 25
+// How quickly the "level" front-back angle follows the way the phone is being held (per event)
+const TILT_RECENTER = 0.005
+
+// iOS 13+ only delivers device orientation after the user grants it from a gesture,
+// so call this from a click/tap handler. Resolves to whether tilt input is available.
+export const requestOrientationPermission = async () => {
+    if (typeof DeviceOrientationEvent === 'undefined') return false
+    if (typeof DeviceOrientationEvent.requestPermission !== 'function') return true
+
+    try {
+        return (await DeviceOrientationEvent.requestPermission()) === 'granted'
+    } catch (e) {
+        console.warn('Device orientation permission failed', e)
+        return false
+    }
+}
+
+// Normalised pointer (-1..1, y up - like R3F's state.pointer) fed by the mouse, touch drags
+// and device tilt. Listens on window because the canvas doesn't receive pointer events.
+// A touch overrides the tilt while the finger is down.
+export const usePointerInput = () => {
+    const pointer = useMemo(() => new THREE.Vector2(), [])
+
+    useEffect(() => {
+        const tilt = new THREE.Vector2()
+        let touching = false
+        let levelBeta = null
+
+        const setFromClient = (x, y) => {
+            pointer.set((x / window.innerWidth) * 2 - 1, -(y / window.innerHeight) * 2 + 1)
+        }
+
+        const handlePointerMove = (e) => {
+            if (e.pointerType === 'mouse') setFromClient(e.clientX, e.clientY)
+        }
+
+        const handleTouch = (e) => {
+            touching = true
+            setFromClient(e.touches[0].clientX, e.touches[0].clientY)
+        }
+
+        const handleTouchEnd = (e) => {
+            touching = e.touches.length > 0
+            if (!touching) pointer.copy(tilt)
+        }
+
+        const handleOrientation = (e) => {
+            if (e.beta === null || e.gamma === null) return
+
+            // Level = however the phone was first held, slowly following posture changes
+            levelBeta = levelBeta === null ? e.beta : levelBeta + (e.beta - levelBeta) * TILT_RECENTER
+
+            // Tilt in portrait axes, turned to match the screen orientation
+            const angle = THREE.MathUtils.degToRad(window.screen.orientation?.angle ?? 0)
+            const x = e.gamma / TILT_RANGE
+            const y = (levelBeta - e.beta) / TILT_RANGE
+            tilt.set(
+                THREE.MathUtils.clamp(x * Math.cos(angle) + y * Math.sin(angle), -1, 1),
+                THREE.MathUtils.clamp(y * Math.cos(angle) - x * Math.sin(angle), -1, 1)
+            )
+
+            if (!touching) pointer.copy(tilt)
+        }
+
+        window.addEventListener('pointermove', handlePointerMove)
+        window.addEventListener('touchstart', handleTouch, { passive: true })
+        window.addEventListener('touchmove', handleTouch, { passive: true })
+        window.addEventListener('touchend', handleTouchEnd)
+        window.addEventListener('touchcancel', handleTouchEnd)
+        window.addEventListener('deviceorientation', handleOrientation)
+
+        return () => {
+            window.removeEventListener('pointermove', handlePointerMove)
+            window.removeEventListener('touchstart', handleTouch)
+            window.removeEventListener('touchmove', handleTouch)
+            window.removeEventListener('touchend', handleTouchEnd)
+            window.removeEventListener('touchcancel', handleTouchEnd)
+            window.removeEventListener('deviceorientation', handleOrientation)
+        }
+    }, [pointer])
+
+    return pointer
+}
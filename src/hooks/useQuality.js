@@ -0,0 +1,19 @@
+import { createContext, useContext } from 'react'
+
+// Rendering budgets from weakest to strongest device.
+// particleFraction = share of each particle system drawn, noiseOctaves = crane noise layers,
+// postProcessing = whether screen-space effects may run
+export const QUALITY_TIERS = [
+    { name: 'low', dpr: 1, particleFraction: 0.35, noiseOctaves: 1, postProcessing: false },
+    { name: 'medium', dpr: 1.25, particleFraction: 0.6, noiseOctaves: 1, postProcessing: false },
+    { name: 'high', dpr: 1.5, particleFraction: 0.85, noiseOctaves: 2, postProcessing: true },
+    { name: 'ultra', dpr: 2, particleFraction: 1, noiseOctaves: 3, postProcessing: true }
+]
+
+// Tier used until the benchmark has run
+export const DEFAULT_QUALITY_TIER = 2
+
+export const QualityContext = createContext(QUALITY_TIERS[DEFAULT_QUALITY_TIER])
+
+// Current quality tier, provided by QualityManager inside the Canvas
+export const useQuality = () => useContext(QualityContext)
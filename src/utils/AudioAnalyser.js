@@ -0,0 +1,122 @@
+// Frequency bands (Hz) reported as levels
+const BANDS = { bass: [20, 250], mid: [250, 2000], high: [2000, 8000] }
+// Seconds for a level to rise / fall most of the way to a new value
+const ATTACK = 0.05
+const RELEASE = 0.3
+// A beat is bass this much above its recent average...
+const BEAT_THRESHOLD = 1.35
+// ...and at least this loud, with this many seconds since the last beat
+const BEAT_MIN_LEVEL = 0.25
+const BEAT_COOLDOWN = 0.3
+// Seconds of history in the bass average
+const BEAT_HISTORY = 1
+
+/**
+ * Analysis layer for an HTMLAudioElement. Routes it through a Web Audio AnalyserNode and
+ * keeps smoothed band levels (`levels.bass`, `.mid`, `.high`, 0-1) up to date every animation
+ * frame, flagging `levels.beat` on the frame a bass onset is detected. Read `levels`
+ * directly or subscribe(listener) to be called with them after each update.
+ */
+export class AudioAnalyser {
+    constructor() {
+        this.levels = { bass: 0, mid: 0, high: 0, beat: false }
+        this.listeners = new Set()
+        this.bassAverage = 0
+        this.sinceBeat = Infinity
+        this.frame = null
+    }
+
+    // Web Audio needs a user gesture, so connect when playback starts. An element can only
+    // be routed once, so the first connected element stays analysed. Analysis then runs
+    // while the element plays and stops (levels back to silence) while it's paused.
+    connect(audio) {
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext
+            if (!AudioContext) return
+
+            this.context = new AudioContext()
+            this.analyser = this.context.createAnalyser()
+            this.analyser.fftSize = 1024
+            this.analyser.smoothingTimeConstant = 0.6
+            this.context.createMediaElementSource(audio).connect(this.analyser)
+            this.analyser.connect(this.context.destination)
+            this.data = new Uint8Array(this.analyser.frequencyBinCount)
+
+            const binWidth = this.context.sampleRate / this.analyser.fftSize
+            this.bins = Object.fromEntries(Object.entries(BANDS).map(([name, [low, high]]) => [
+                name,
+                [Math.max(Math.floor(low / binWidth), 1), Math.min(Math.ceil(high / binWidth), this.data.length)]
+            ]))
+
+            this.audio = audio
+            this.handlePlay = () => this.start()
+            this.handlePause = () => this.stop()
+            audio.addEventListener('play', this.handlePlay)
+            audio.addEventListener('pause', this.handlePause)
+        }
+
+        this.context.resume()
+        if (!this.audio.paused) this.start()
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener)
+        return () => this.listeners.delete(listener)
+    }
+
+    start() {
+        if (this.frame !== null) return
+
+        let last = performance.now()
+        const loop = (now) => {
+            this.update(Math.min((now - last) / 1000, 0.1))
+            last = now
+            this.frame = requestAnimationFrame(loop)
+        }
+        this.frame = requestAnimationFrame(loop)
+    }
+
+    stop() {
+        if (this.frame !== null) cancelAnimationFrame(this.frame)
+        this.frame = null
+
+        Object.assign(this.levels, { bass: 0, mid: 0, high: 0, beat: false })
+        this.bassAverage = 0
+    }
+
+    update(delta) {
+        if (!this.analyser) return
+
+        this.analyser.getByteFrequencyData(this.data)
+        const levels = this.levels
+
+        Object.entries(this.bins).forEach(([name, [start, end]]) => {
+            let sum = 0
+            for (let i = start; i < end; i++) sum += this.data[i]
+            const value = sum / ((end - start) * 255)
+            const time = value > levels[name] ? ATTACK : RELEASE
+            levels[name] += (value - levels[name]) * (1 - Math.exp(-delta / time))
+        })
+
+        // Bass onsets against the running average
+        this.sinceBeat += delta
+        levels.beat = levels.bass > BEAT_MIN_LEVEL &&
+            levels.bass > this.bassAverage * BEAT_THRESHOLD &&
+            this.sinceBeat > BEAT_COOLDOWN
+        if (levels.beat) this.sinceBeat = 0
+        this.bassAverage += (levels.bass - this.bassAverage) * (1 - Math.exp(-delta / BEAT_HISTORY))
+
+        this.listeners.forEach((listener) => listener(levels))
+    }
+
+    dispose() {
+        this.stop()
+        this.audio?.removeEventListener('play', this.handlePlay)
+        this.audio?.removeEventListener('pause', this.handlePause)
+        this.audio = null
+        this.listeners.clear()
+        this.context?.close()
+        this.context = null
+        this.analyser = null
+    }
+}
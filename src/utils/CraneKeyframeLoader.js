@@ -0,0 +1,79 @@
+import * as THREE from 'three'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { sampleCraneKeyframes, decodeCraneKeyframes } from './craneKeyframes'
+
+// Read a texture's image back through a 2D canvas so particles can be coloured from it
+function readImagePixels(texture) {
+    const { image } = texture
+    if (!image?.width) return null
+
+    const canvas = document.createElement('canvas')
+    canvas.width = image.width
+    canvas.height = image.height
+    const context = canvas.getContext('2d')
+    context.drawImage(image, 0, 0)
+    return context.getImageData(0, 0, image.width, image.height)
+}
+
+/**
+ * Loads crane particle keyframes, either from the binary asset baked at build
+ * time or - for .glb/.gltf urls - by sampling the model on the main thread.
+ * A baked asset that fails to load or decode falls back to the model url.
+ */
+export class CraneKeyframeLoader extends THREE.Loader {
+    constructor(manager) {
+        super(manager)
+        this.modelUrl = null
+    }
+
+    setModelUrl(url) {
+        this.modelUrl = url
+        return this
+    }
+
+    load(url, onLoad, onProgress, onError) {
+        if (/\.gltf?$|\.glb$/.test(url)) {
+            this.loadFromModel(url, onLoad, onProgress, onError)
+            return
+        }
+
+        const fallback = (error) => {
+            if (!this.modelUrl) {
+                onError?.(error)
+                return
+            }
+            console.warn('Baked crane keyframes unavailable, sampling model at runtime', error)
+            this.loadFromModel(this.modelUrl, onLoad, onProgress, onError)
+        }
+
+        const fileLoader = new THREE.FileLoader(this.manager)
+        fileLoader.setPath(this.path)
+        fileLoader.setResponseType('arraybuffer')
+        fileLoader.setRequestHeader(this.requestHeader)
+        fileLoader.setWithCredentials(this.withCredentials)
+        fileLoader.load(url, (buffer) => {
+            let data
+            try {
+                data = decodeCraneKeyframes(buffer)
+            } catch (error) {
+                fallback(error)
+                return
+            }
+            onLoad(data)
+        }, onProgress, fallback)
+    }
+
+    loadFromModel(url, onLoad, onProgress, onError) {
+        const gltfLoader = new GLTFLoader(this.manager)
+        gltfLoader.load(url, (gltf) => {
+            let data
+            try {
+                data = sampleCraneKeyframes(gltf, { readPixels: readImagePixels })
+            } catch (error) {
+                onError?.(error)
+                return
+            }
+            onLoad(data)
+        }, onProgress, onError)
+    }
+}
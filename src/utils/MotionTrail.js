@@ -0,0 +1,146 @@
+import * as THREE from 'three'
+
+// Layer particle systems move to while trailed, so the main render skips them and only
+// their trail quad shows
+export const TRAIL_LAYER = 1
+
+const quadVertexShader = `
+varying vec2 vUv;
+
+void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`
+
+const fadeFragmentShader = `
+uniform sampler2D uPrevious;
+uniform float uFade;
+uniform float uFadeLinear;
+
+varying vec2 vUv;
+
+void main() {
+    // Exponential fade sets the streak length, the linear one clears the faint tail
+    gl_FragColor = max(texture2D(uPrevious, vUv) * uFade - uFadeLinear, 0.0);
+}
+`
+
+const outputFragmentShader = `
+uniform sampler2D uTrail;
+
+varying vec2 vUv;
+
+void main() {
+    gl_FragColor = vec4(texture2D(uTrail, vUv).rgb, 1.0);
+}
+`
+
+const createQuad = (material) => {
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material)
+    quad.frustumCulled = false
+    return quad
+}
+
+/**
+ * Feedback trail for one particle system. Each frame the previous trail frame is faded
+ * into the other half of a ping-pong pair and the particles are drawn on top; `output`
+ * is a fullscreen quad that adds the result to the main render.
+ */
+export class MotionTrail {
+    constructor() {
+        const options = { type: THREE.HalfFloatType, depthBuffer: false }
+        this.targets = [new THREE.WebGLRenderTarget(1, 1, options), new THREE.WebGLRenderTarget(1, 1, options)]
+        this.size = new THREE.Vector2()
+
+        this.fadeMaterial = new THREE.ShaderMaterial({
+            vertexShader: quadVertexShader,
+            fragmentShader: fadeFragmentShader,
+            uniforms: {
+                uPrevious: { value: null },
+                uFade: { value: 0 },
+                uFadeLinear: { value: 0 }
+            },
+            blending: THREE.NoBlending,
+            depthTest: false,
+            depthWrite: false
+        })
+        this.fadeQuad = createQuad(this.fadeMaterial)
+
+        this.outputMaterial = new THREE.ShaderMaterial({
+            vertexShader: quadVertexShader,
+            fragmentShader: outputFragmentShader,
+            uniforms: { uTrail: { value: null } },
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthTest: false,
+            depthWrite: false
+        })
+        this.output = createQuad(this.outputMaterial)
+        this.output.visible = false
+        this.clearColor = new THREE.Color()
+    }
+
+    get active() {
+        return this.output.visible
+    }
+
+    // The output quad only shows while the trail is drawn. A restarted trail starts empty,
+    // rather than bringing back the streaks it stopped with
+    setActive(active, renderer) {
+        this.output.visible = active
+        if (active) this.clear(renderer)
+    }
+
+    clear(renderer) {
+        const previousTarget = renderer.getRenderTarget()
+        const clearAlpha = renderer.getClearAlpha()
+        renderer.getClearColor(this.clearColor)
+        renderer.setClearColor(0x000000, 0)
+
+        this.targets.forEach((target) => {
+            renderer.setRenderTarget(target)
+            renderer.clear()
+        })
+
+        renderer.setRenderTarget(previousTarget)
+        renderer.setClearColor(this.clearColor, clearAlpha)
+    }
+
+    // length = seconds for a streak to fade to ~5%, decay = linear fade per second
+    render(renderer, object, camera, delta, { length, decay }) {
+        renderer.getDrawingBufferSize(this.size)
+        const [previous, current] = this.targets
+        if (current.width !== this.size.x || current.height !== this.size.y) {
+            this.targets.forEach((target) => target.setSize(this.size.x, this.size.y))
+        }
+
+        const previousTarget = renderer.getRenderTarget()
+        const autoClear = renderer.autoClear
+        renderer.autoClear = false
+        renderer.setRenderTarget(current)
+
+        this.fadeMaterial.uniforms.uPrevious.value = previous.texture
+        this.fadeMaterial.uniforms.uFade.value = length > 0 ? Math.exp((-3 * delta) / length) : 0
+        this.fadeMaterial.uniforms.uFadeLinear.value = decay * delta
+        renderer.render(this.fadeQuad, camera)
+
+        camera.layers.enable(TRAIL_LAYER)
+        renderer.render(object, camera)
+        camera.layers.disable(TRAIL_LAYER)
+
+        renderer.setRenderTarget(previousTarget)
+        renderer.autoClear = autoClear
+
+        this.outputMaterial.uniforms.uTrail.value = current.texture
+        this.targets.reverse()
+    }
+
+    dispose() {
+        this.targets.forEach((target) => target.dispose())
+        this.fadeQuad.geometry.dispose()
+        this.fadeMaterial.dispose()
+        this.output.geometry.dispose()
+        this.outputMaterial.dispose()
+    }
+}
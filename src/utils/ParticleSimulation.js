@@ -0,0 +1,201 @@
+import * as THREE from 'three'
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js'
+import { pointerInteractionShader } from './pointerInteraction'
+import './shaderChunks'
+
+// Default physics - spring = pull towards the target shape, damping = velocity lost per second,
+// wind = curl-noise strength, pointer = how hard pointer interaction pushes (relative to spring)
+export const SIMULATION_DEFAULTS = { spring: 12, damping: 4, wind: 0.3, pointer: 1 }
+
+// Longest step simulated at once, so a hitch or tab switch can't blow particles apart
+const MAX_STEP = 1 / 30
+
+// GLSL for the point vertex shaders. A material compiled with SIMULATION_TARGET writes each
+// particle's target position into the target texture; one compiled with SIMULATED draws the
+// simulated position instead. SIMULATION_WIDTH is the (square) texture width.
+export const simulationShader = `
+#if defined(SIMULATION_TARGET) || defined(SIMULATED)
+ivec2 simulationCoord() {
+    return ivec2(gl_VertexID % SIMULATION_WIDTH, gl_VertexID / SIMULATION_WIDTH);
+}
+#endif
+#ifdef SIMULATION_TARGET
+varying vec3 vSimulationTarget;
+
+// Clip-space position of this particle's texel in the target texture
+vec4 simulationTargetPosition() {
+    return vec4((vec2(simulationCoord()) + 0.5) / float(SIMULATION_WIDTH) * 2.0 - 1.0, 0.0, 1.0);
+}
+#endif
+#ifdef SIMULATED
+uniform sampler2D uSimulationPositions;
+#endif
+`
+
+const targetFragmentShader = `
+varying vec3 vSimulationTarget;
+
+void main() {
+    gl_FragColor = vec4(vSimulationTarget, 1.0);
+}
+`
+
+const velocityShader = `
+uniform sampler2D uTarget;
+uniform float uDelta;
+uniform float uTime;
+uniform float uSpring;
+uniform float uDamping;
+uniform float uWind;
+uniform float uPointerForce;
+uniform vec2 uPointerWorld;
+${pointerInteractionShader}
+#include <curl_noise>
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 position = texture2D(texturePosition, uv).xyz;
+    vec3 velocity = texture2D(textureVelocity, uv).xyz;
+    vec3 target = texture2D(uTarget, uv).xyz;
+
+    // Spring towards the shape, drift on the wind, and get pushed around by the pointer
+    // (pointer displacements become forces whose rest offset matches the unsimulated shaders)
+    vec3 force = (target - position) * uSpring;
+    force += curlNoise(position * 0.4 + vec3(uTime * 0.05)) * uWind;
+    force += pointerDisplacement(position, vec3(uPointerWorld, position.z)) * uSpring * uPointerForce;
+
+    velocity += force * uDelta;
+    velocity *= exp(-uDamping * uDelta);
+
+    gl_FragColor = vec4(velocity, 1.0);
+}
+`
+
+const positionShader = `
+uniform sampler2D uTarget;
+uniform float uDelta;
+uniform float uReset;
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 position = texture2D(texturePosition, uv).xyz;
+    vec3 velocity = texture2D(textureVelocity, uv).xyz;
+
+    // The first step starts every particle on its target
+    position = uReset > 0.5 ? texture2D(uTarget, uv).xyz : position + velocity * uDelta;
+
+    gl_FragColor = vec4(position, 1.0);
+}
+`
+
+/**
+ * GPU particle physics for a point cloud whose shape comes from its own vertex shader.
+ * Each step renders the points' target positions into a float texture, then integrates
+ * per-particle velocity and position in ping-pong render targets (GPUComputationRenderer).
+ * Each step points the visible material's uSimulationPositions at the result.
+ *
+ * `uniforms` is the point material's uniform object - shared with the target pass and the
+ * pointer forces, so every tween or blend on it reaches the simulation too.
+ */
+export class ParticleSimulation {
+    constructor(renderer, { count, vertexShader, uniforms, params = {} }) {
+        this.renderer = renderer
+        this.width = Math.ceil(Math.sqrt(count))
+        this.params = { ...SIMULATION_DEFAULTS, ...params }
+        this.reset = true
+        this.output = uniforms.uSimulationPositions
+
+        // Target pass: the same points (geometry attached each step), drawn one texel per particle
+        this.target = new THREE.WebGLRenderTarget(this.width, this.width, {
+            type: THREE.FloatType,
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            depthBuffer: false
+        })
+        this.targetMaterial = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader: targetFragmentShader,
+            uniforms,
+            defines: { SIMULATION_TARGET: '', SIMULATION_WIDTH: this.width },
+            blending: THREE.NoBlending,
+            depthTest: false,
+            depthWrite: false
+        })
+        this.targetPoints = new THREE.Points(undefined, this.targetMaterial)
+        this.targetPoints.frustumCulled = false
+        this.targetScene = new THREE.Scene()
+        this.targetScene.add(this.targetPoints)
+        this.targetCamera = new THREE.Camera()
+
+        // Physics: velocity and position variables, each reading both
+        this.compute = new GPUComputationRenderer(this.width, this.width, renderer)
+        this.velocity = this.compute.addVariable('textureVelocity', velocityShader, this.compute.createTexture())
+        this.position = this.compute.addVariable('texturePosition', positionShader, this.compute.createTexture())
+        this.compute.setVariableDependencies(this.velocity, [this.position, this.velocity])
+        this.compute.setVariableDependencies(this.position, [this.position, this.velocity])
+
+        Object.assign(this.velocity.material.uniforms, {
+            uTarget: { value: this.target.texture },
+            uDelta: { value: 0 },
+            uTime: uniforms.uTime,
+            uSpring: { value: this.params.spring },
+            uDamping: { value: this.params.damping },
+            uWind: { value: this.params.wind },
+            uPointerForce: { value: this.params.pointer },
+            uPointerWorld: { value: new THREE.Vector2() },
+            uPointerModes: uniforms.uPointerModes,
+            uPointerRadius: uniforms.uPointerRadius,
+            uPointerStrength: uniforms.uPointerStrength,
+            uWake: uniforms.uWake
+        })
+        Object.assign(this.position.material.uniforms, {
+            uTarget: { value: this.target.texture },
+            uDelta: this.velocity.material.uniforms.uDelta,
+            uReset: { value: 1 }
+        })
+
+        const error = this.compute.init()
+        if (error) {
+            this.dispose()
+            throw new Error(`Particle simulation unavailable: ${error}`)
+        }
+    }
+
+    // geometry = the visible points' geometry, pointerWorld = pointer in world units (the shaders' mouseWorld)
+    step(geometry, delta, pointerWorld) {
+        const { renderer } = this
+        const previousTarget = renderer.getRenderTarget()
+
+        this.targetPoints.geometry = geometry
+        renderer.setRenderTarget(this.target)
+        renderer.render(this.targetScene, this.targetCamera)
+        renderer.setRenderTarget(previousTarget)
+
+        this.velocity.material.uniforms.uDelta.value = Math.min(delta, MAX_STEP)
+        this.velocity.material.uniforms.uPointerWorld.value.copy(pointerWorld)
+        this.position.material.uniforms.uReset.value = this.reset ? 1 : 0
+        this.reset = false
+        this.compute.compute()
+        this.output.value = this.positions
+    }
+
+    // Change the physics on the running simulation (missing keys fall back to SIMULATION_DEFAULTS)
+    setParams(params = {}) {
+        this.params = { ...SIMULATION_DEFAULTS, ...params }
+        const { uniforms } = this.velocity.material
+        uniforms.uSpring.value = this.params.spring
+        uniforms.uDamping.value = this.params.damping
+        uniforms.uWind.value = this.params.wind
+        uniforms.uPointerForce.value = this.params.pointer
+    }
+
+    get positions() {
+        return this.compute.getCurrentRenderTarget(this.position).texture
+    }
+
+    dispose() {
+        this.target.dispose()
+        this.targetMaterial.dispose()
+        this.compute.dispose()
+    }
+}
@@ -0,0 +1,54 @@
+import * as THREE from 'three'
+
+// Edge length of the generated 3D LUTs
+const LUT_SIZE = 16
+
+const luminance = (r, g, b) => r * 0.2126 + g * 0.7152 + b * 0.0722
+const mixValue = (a, b, t) => a + (b - a) * t
+
+// Colour grades available to postStates.lut, as functions of a colour in 0..1.
+// The particles are mostly white, so the grades mainly tint by brightness.
+export const COLOR_GRADES = {
+    neutral: (r, g, b) => [r, g, b],
+    // Golden highlights, slightly lifted reds
+    warm: (r, g, b) => [r * 1.06 + 0.02, g * 1.0 + 0.01, b * 0.86],
+    // Blue-steel shadows
+    cool: (r, g, b) => [r * 0.9, g * 0.98, b * 1.08 + 0.03],
+    // Desaturated with an S-curve
+    noir: (r, g, b) => {
+        const l = luminance(r, g, b)
+        const curved = l * l * (3 - 2 * l)
+        return [mixValue(r, curved, 0.8), mixValue(g, curved, 0.8), mixValue(b, curved, 0.8)]
+    },
+    // Rose shadows fading into gold highlights
+    dawn: (r, g, b) => {
+        const l = luminance(r, g, b)
+        return [r + 0.06 * (1 - l) + 0.04 * l, g + 0.01 * (1 - l) + 0.02 * l, b + 0.05 * (1 - l) - 0.06 * l]
+    }
+}
+
+// Bake a grade into a Data3DTexture for LUTPass
+export function createGradeLut(name) {
+    const grade = COLOR_GRADES[name] || COLOR_GRADES.neutral
+    const data = new Uint8Array(LUT_SIZE * LUT_SIZE * LUT_SIZE * 4)
+
+    for (let z = 0; z < LUT_SIZE; z++) {
+        for (let y = 0; y < LUT_SIZE; y++) {
+            for (let x = 0; x < LUT_SIZE; x++) {
+                const color = grade(x / (LUT_SIZE - 1), y / (LUT_SIZE - 1), z / (LUT_SIZE - 1))
+                const i = ((z * LUT_SIZE + y) * LUT_SIZE + x) * 4
+                data[i] = Math.round(THREE.MathUtils.clamp(color[0], 0, 1) * 255)
+                data[i + 1] = Math.round(THREE.MathUtils.clamp(color[1], 0, 1) * 255)
+                data[i + 2] = Math.round(THREE.MathUtils.clamp(color[2], 0, 1) * 255)
+                data[i + 3] = 255
+            }
+        }
+    }
+
+    const texture = new THREE.Data3DTexture(data, LUT_SIZE, LUT_SIZE, LUT_SIZE)
+    texture.minFilter = THREE.LinearFilter
+    texture.magFilter = THREE.LinearFilter
+    texture.wrapS = texture.wrapT = texture.wrapR = THREE.ClampToEdgeWrapping
+    texture.needsUpdate = true
+    return texture
+}
@@ -0,0 +1,519 @@
+import * as THREE from 'three'
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js'
+import { seededRandom } from './random.js'
+
+// Shared between CraneParticles (runtime fallback) and the build-time bake plugin,
+// so this module must stay free of DOM and React dependencies.
+
+// Number of keyframes to sample per clip
+export const KEYFRAME_COUNT = 30
+// Maximum particles to use (performance consideration)
+export const MAX_PARTICLES = 45630
+// Wingspan (model units) the crane is normalised to - craneStates scales were tuned against it
+export const CRANE_SPAN = 0.144
+
+// Baked animation clips, selectable per section via craneStates.clip.
+// clip = GLB animation name, start/end = optional time range in seconds,
+// pingPong = play the range forward then back so a non-looping slice still cycles,
+// hold = bake a single pose at this time (seconds) instead of a cycle - a static pose, so
+// sections using it have no animationSpeed (the config schema rejects one).
+// The model only ships the 'fei' flap, so glide holds its wings-spread pose
+// (widest and flattest at 0.3s) rather than playing a real glide animation.
+export const CRANE_CLIPS = {
+    flap: { clip: 'fei' },
+    glide: { clip: 'fei', hold: 0.3 }
+}
+
+// How particles are distributed over the crane mesh.
+// mode 'surface' spreads particleCount samples evenly over triangle area, with the
+// weights adding extra density on wings, open edges (feather tips) and, if the
+// mesh has vertex colours, their luminance. mode 'vertex' is the legacy one
+// particle per vertex plus jittered copies of wing vertices.
+// colors = also bake each particle's baseColor texel (shown via craneStates.colorAmount)
+export const CRANE_SAMPLING = {
+    mode: 'surface',
+    particleCount: 3000,
+    weights: { wings: 1.5, edges: 0.5, vertexColor: 0 },
+    colors: true
+}
+
+// Binary keyframe asset identifier ("CKF1")
+const MAGIC = 0x31464b43
+
+function findSkinnedMesh(root) {
+    let skinnedMesh = null
+    root.traverse((child) => {
+        if (child.isSkinnedMesh && !skinnedMesh) skinnedMesh = child
+    })
+    return skinnedMesh
+}
+
+// Clip-local sample times; the result always loops back onto its first frame
+function clipSampleTimes({ start = 0, end, pingPong = false, hold, frames = KEYFRAME_COUNT }, duration) {
+    if (hold !== undefined) return [hold]
+
+    const from = start
+    const to = end ?? duration
+
+    if (!pingPong) {
+        return Array.from({ length: frames }, (_, k) => from + (k / frames) * (to - from))
+    }
+
+    const forward = Array.from({ length: frames }, (_, k) => from + (k / (frames - 1)) * (to - from))
+    return forward.concat(forward.slice(1, -1).reverse())
+}
+
+// Skin every vertex of the mesh at its current pose into world space
+function skinVertices(skinnedMesh, targetPositions, targetNormals) {
+    const geometry = skinnedMesh.geometry
+    const positionAttr = geometry.attributes.position
+    const normalAttr = geometry.attributes.normal
+    const skinIndexAttr = geometry.attributes.skinIndex
+    const skinWeightAttr = geometry.attributes.skinWeight
+    const boneMatrices = skinnedMesh.skeleton.boneMatrices
+
+    const blended = new THREE.Matrix4()
+    const skinMatrix = new THREE.Matrix4()
+    const normalMatrix = new THREE.Matrix3()
+    const vertex = new THREE.Vector3()
+    const normal = new THREE.Vector3()
+    const out = blended.elements
+
+    for (let i = 0; i < positionAttr.count; i++) {
+        // Blend the bone matrices by skin weight
+        out.fill(0)
+        for (let j = 0; j < 4; j++) {
+            const weight = skinWeightAttr.getComponent(i, j)
+            if (weight === 0) continue
+
+            const offset = skinIndexAttr.getComponent(i, j) * 16
+            for (let e = 0; e < 16; e++) {
+                out[e] += boneMatrices[offset + e] * weight
+            }
+        }
+
+        // Same transform chain as three's skinning shader, then into world space
+        skinMatrix
+            .multiplyMatrices(skinnedMesh.bindMatrixInverse, blended)
+            .multiply(skinnedMesh.bindMatrix)
+            .premultiply(skinnedMesh.matrixWorld)
+        normalMatrix.getNormalMatrix(skinMatrix)
+
+        vertex.fromBufferAttribute(positionAttr, i).applyMatrix4(skinMatrix)
+        normal.fromBufferAttribute(normalAttr, i).applyMatrix3(normalMatrix).normalize()
+
+        vertex.toArray(targetPositions, i * 3)
+        normal.toArray(targetNormals, i * 3)
+    }
+}
+
+// Look up each particle's baseColor texel (nearest, repeat-wrapped, glTF UV origin top-left)
+function sampleColors(geometry, samples, pixels) {
+    const uvAttr = geometry.attributes.uv
+    const { width, height, data } = pixels
+    const colors = new Float32Array(samples.count * 3)
+
+    for (let i = 0; i < samples.count * 3; i += 3) {
+        let u = 0, v = 0
+        for (let c = 0; c < 3; c++) {
+            const vertex = samples.indices[i + c]
+            u += uvAttr.getX(vertex) * samples.weights[i + c]
+            v += uvAttr.getY(vertex) * samples.weights[i + c]
+        }
+
+        const x = Math.min(Math.floor((u - Math.floor(u)) * width), width - 1)
+        const y = Math.min(Math.floor((v - Math.floor(v)) * height), height - 1)
+        const texel = (y * width + x) * 4
+        colors[i] = data[texel] / 255
+        colors[i + 1] = data[texel + 1] / 255
+        colors[i + 2] = data[texel + 2] / 255
+    }
+
+    return colors
+}
+
+// Every particle is a weighted blend of up to three mesh vertices plus a fixed
+// offset, so the same sample can be re-skinned consistently in every keyframe
+function createSamples(count) {
+    return {
+        count,
+        indices: new Uint32Array(count * 3),
+        weights: new Float32Array(count * 3),
+        offsets: new Float32Array(count * 3)
+    }
+}
+
+// Legacy distribution: one particle per vertex plus jittered copies of wing vertices
+function selectVertexSamples(geometry) {
+    const vertexCount = geometry.attributes.position.count
+
+    // Limit particle count for performance
+    const particleCount = Math.min(vertexCount, MAX_PARTICLES)
+
+    // Build weighted sampling for wing vertices (larger |x| values)
+    // First pass: analyze vertex positions to find X bounds
+    const posAttr = geometry.attributes.position
+    let minX = Infinity, maxX = -Infinity
+    for (let i = 0; i < vertexCount; i++) {
+        const x = posAttr.getX(i)
+        minX = Math.min(minX, x)
+        maxX = Math.max(maxX, x)
+    }
+    const xRange = maxX - minX
+    const wingThreshold = xRange * 0.2 // Vertices beyond 20% from center are "wing"
+    const centerX = (minX + maxX) / 2
+
+    // Create particle entries with index and optional offset for wing spread
+    const particleEntries = [] // { index, offsetX, offsetY, offsetZ }
+    for (let i = 0; i < vertexCount; i++) {
+        const x = posAttr.getX(i)
+        const distFromCenter = Math.abs(x - centerX)
+        const isWing = distFromCenter > wingThreshold
+
+        // Base particle (no offset)
+        particleEntries.push({ index: i, offsetX: 0, offsetY: 0, offsetZ: 0 })
+
+        // Wing particles get extra samples with random spread
+        if (isWing) {
+            const spreadAmount = 0.015 // Spread radius in model units
+            for (let w = 0; w < 8; w++) {
+                // Deterministic "random" offsets based on vertex and iteration
+                const seed1 = seededRandom(i * 100 + w * 7)
+                const seed2 = seededRandom(i * 100 + w * 13 + 50)
+                const seed3 = seededRandom(i * 100 + w * 19 + 100)
+                particleEntries.push({
+                    index: i,
+                    offsetX: (seed1 - 0.5) * spreadAmount,
+                    offsetY: (seed2 - 0.5) * spreadAmount,
+                    offsetZ: (seed3 - 0.5) * spreadAmount
+                })
+            }
+        }
+    }
+
+    // Sample from entries with deterministic selection
+    const samples = createSamples(particleCount)
+    const step = particleEntries.length / particleCount
+    for (let i = 0; i < particleCount; i++) {
+        const entry = particleEntries[Math.floor(i * step)]
+        samples.indices.fill(entry.index, i * 3, i * 3 + 3)
+        samples.weights[i * 3] = 1
+        samples.offsets[i * 3] = entry.offsetX
+        samples.offsets[i * 3 + 1] = entry.offsetY
+        samples.offsets[i * 3 + 2] = entry.offsetZ
+    }
+
+    return samples
+}
+
+// Per-vertex density multipliers for surface sampling
+function vertexDensity(geometry, weights) {
+    const posAttr = geometry.attributes.position
+    const colorAttr = geometry.attributes.color
+    const index = geometry.index
+    const vertexCount = posAttr.count
+    const density = new Float32Array(vertexCount).fill(1)
+
+    // Wings: ramp in from 20% to 60% of the half-span (rest pose X)
+    if (weights.wings) {
+        let minX = Infinity, maxX = -Infinity
+        for (let i = 0; i < vertexCount; i++) {
+            minX = Math.min(minX, posAttr.getX(i))
+            maxX = Math.max(maxX, posAttr.getX(i))
+        }
+        const centerX = (minX + maxX) / 2
+        const halfSpan = (maxX - minX) / 2 || 1
+        for (let i = 0; i < vertexCount; i++) {
+            const t = Math.abs(posAttr.getX(i) - centerX) / halfSpan
+            density[i] += weights.wings * THREE.MathUtils.smoothstep(t, 0.2, 0.6)
+        }
+    }
+
+    // Edges: vertices on edges used by a single triangle (open borders like feather tips)
+    if (weights.edges) {
+        const edgeUse = new Map()
+        for (let i = 0; i < index.count; i += 3) {
+            for (let e = 0; e < 3; e++) {
+                const a = index.getX(i + e)
+                const b = index.getX(i + (e + 1) % 3)
+                const key = a < b ? `${a}_${b}` : `${b}_${a}`
+                edgeUse.set(key, (edgeUse.get(key) || 0) + 1)
+            }
+        }
+        const isEdge = new Uint8Array(vertexCount)
+        for (const [key, uses] of edgeUse) {
+            if (uses !== 1) continue
+            const [a, b] = key.split('_')
+            isEdge[a] = 1
+            isEdge[b] = 1
+        }
+        for (let i = 0; i < vertexCount; i++) {
+            density[i] += weights.edges * isEdge[i]
+        }
+    }
+
+    // Vertex colour mask: brighter vertices attract more particles
+    if (weights.vertexColor && colorAttr) {
+        for (let i = 0; i < vertexCount; i++) {
+            const luminance = 0.2126 * colorAttr.getX(i) + 0.7152 * colorAttr.getY(i) + 0.0722 * colorAttr.getZ(i)
+            density[i] += weights.vertexColor * luminance
+        }
+    }
+
+    return density
+}
+
+// Area-weighted distribution: pick triangles by (weighted) area, then a uniform point inside
+function selectSurfaceSamples(geometry, { particleCount, weights = {} }) {
+    const posAttr = geometry.attributes.position
+    const index = geometry.index
+    const triangleCount = index.count / 3
+    const density = vertexDensity(geometry, weights)
+
+    // Cumulative weighted area over the rest pose triangles
+    const cumulative = new Float64Array(triangleCount)
+    const triangle = new THREE.Triangle()
+    let total = 0
+    for (let t = 0; t < triangleCount; t++) {
+        const a = index.getX(t * 3)
+        const b = index.getX(t * 3 + 1)
+        const c = index.getX(t * 3 + 2)
+        triangle.a.fromBufferAttribute(posAttr, a)
+        triangle.b.fromBufferAttribute(posAttr, b)
+        triangle.c.fromBufferAttribute(posAttr, c)
+        total += triangle.getArea() * (density[a] + density[b] + density[c]) / 3
+        cumulative[t] = total
+    }
+
+    const count = Math.min(particleCount, MAX_PARTICLES)
+    const samples = createSamples(count)
+    for (let i = 0; i < count; i++) {
+        // Binary search the triangle whose cumulative area covers the seeded pick
+        const pick = seededRandom(i * 3 + 7919) * total
+        let low = 0, high = triangleCount - 1
+        while (low < high) {
+            const mid = (low + high) >> 1
+            if (cumulative[mid] < pick) low = mid + 1
+            else high = mid
+        }
+
+        // Uniform barycentric coordinates (square-root warp)
+        const r1 = Math.sqrt(seededRandom(i * 3 + 7920))
+        const r2 = seededRandom(i * 3 + 7921)
+        samples.indices[i * 3] = index.getX(low * 3)
+        samples.indices[i * 3 + 1] = index.getX(low * 3 + 1)
+        samples.indices[i * 3 + 2] = index.getX(low * 3 + 2)
+        samples.weights[i * 3] = 1 - r1
+        samples.weights[i * 3 + 1] = r1 * (1 - r2)
+        samples.weights[i * 3 + 2] = r1 * r2
+    }
+
+    return samples
+}
+
+/**
+ * Sample the crane's CRANE_CLIPS into particle keyframes, stored back to back
+ * with each clip's frame offset and length listed in `clips`.
+ * Returns null when the model has no skinned mesh or animation.
+ *
+ * `readPixels(texture)` returns `{ width, height, data }` RGBA pixels for the
+ * baseColor map; textures that already carry pixel data (DataTexture) are read
+ * directly. Without either, no `colors` are baked.
+ */
+export function sampleCraneKeyframes(gltf, { readPixels } = {}) {
+    const scene = cloneSkinned(gltf.scene)
+    const skinnedMesh = findSkinnedMesh(scene)
+
+    if (!skinnedMesh) {
+        console.warn('No skinned mesh found in crane model')
+        return null
+    }
+
+    // Resolve the clips to bake
+    const clips = []
+    for (const [name, definition] of Object.entries(CRANE_CLIPS)) {
+        const clip = THREE.AnimationClip.findByName(gltf.animations, definition.clip)
+        if (!clip) {
+            console.warn(`Crane clip "${name}" references missing animation "${definition.clip}"`)
+            continue
+        }
+        clips.push({ name, clip, times: clipSampleTimes(definition, clip.duration) })
+    }
+
+    if (!clips.length) {
+        console.warn('No animation found in crane model')
+        return null
+    }
+
+    const geometry = skinnedMesh.geometry
+    const vertexCount = geometry.attributes.position.count
+    const samples = CRANE_SAMPLING.mode === 'surface' && geometry.index
+        ? selectSurfaceSamples(geometry, CRANE_SAMPLING)
+        : selectVertexSamples(geometry)
+    const particleCount = samples.count
+
+    // Pose the cloned rig once per keyframe and skin the full vertex set
+    const mixer = new THREE.AnimationMixer(scene)
+    const keyframeCount = clips.reduce((total, { times }) => total + times.length, 0)
+
+    const fullPositions = new Float32Array(vertexCount * 3)
+    const fullNormals = new Float32Array(vertexCount * 3)
+    const positions = new Float32Array(keyframeCount * particleCount * 3)
+    const normals = new Float32Array(particleCount * 3)
+    const center = new THREE.Vector3()
+    let normalizeScale = 1
+    let k = 0
+
+    const clipRanges = clips.map(({ name, clip, times }) => {
+        const offset = k
+        mixer.stopAllAction()
+        mixer.clipAction(clip).play()
+
+        for (const time of times) {
+            mixer.setTime(time)
+            scene.updateMatrixWorld(true)
+            skinnedMesh.skeleton.update()
+            skinVertices(skinnedMesh, fullPositions, fullNormals)
+
+            // Centre and size the crane from the first pose so every keyframe shares one frame
+            if (k === 0) {
+                const bounds = new THREE.Box3().setFromArray(fullPositions)
+                bounds.getCenter(center)
+                normalizeScale = CRANE_SPAN / (bounds.max.x - bounds.min.x)
+            }
+
+            // Blend the skinned corners by each sample's barycentric weights (plus spread offset)
+            const frameOffset = k * particleCount * 3
+            for (let i = 0; i < particleCount * 3; i += 3) {
+                const dst = frameOffset + i
+                let nx = 0, ny = 0, nz = 0
+                positions[dst] = samples.offsets[i]
+                positions[dst + 1] = samples.offsets[i + 1]
+                positions[dst + 2] = samples.offsets[i + 2]
+
+                for (let c = 0; c < 3; c++) {
+                    const src = samples.indices[i + c] * 3
+                    const weight = samples.weights[i + c]
+                    positions[dst] += (fullPositions[src] - center.x) * normalizeScale * weight
+                    positions[dst + 1] += (fullPositions[src + 1] - center.y) * normalizeScale * weight
+                    positions[dst + 2] += (fullPositions[src + 2] - center.z) * normalizeScale * weight
+                    nx += fullNormals[src] * weight
+                    ny += fullNormals[src + 1] * weight
+                    nz += fullNormals[src + 2] * weight
+                }
+
+                // Use first keyframe normals for dispersion direction
+                if (k === 0) {
+                    const length = Math.hypot(nx, ny, nz) || 1
+                    normals[i] = nx / length
+                    normals[i + 1] = ny / length
+                    normals[i + 2] = nz / length
+                }
+            }
+
+            k++
+        }
+
+        return { name, offset, frameCount: times.length }
+    })
+
+    mixer.stopAllAction()
+
+    // Colour each particle from the material's baseColor texture
+    const map = skinnedMesh.material.map
+    const pixels = CRANE_SAMPLING.colors && map && geometry.attributes.uv
+        ? (map.image?.data ? map.image : readPixels?.(map))
+        : null
+
+    // Create particle data with deterministic random values
+    const randoms = new Float32Array(particleCount)
+    for (let i = 0; i < particleCount; i++) {
+        randoms[i] = seededRandom(i + 1)
+    }
+
+    return {
+        count: particleCount,
+        keyframeCount,
+        clips: clipRanges,
+        randoms,
+        normals,
+        positions,
+        ...(pixels && { colors: sampleColors(geometry, samples, pixels) })
+    }
+}
+
+/**
+ * Pack sampled keyframes into a binary asset.
+ * Layout: magic, JSON header length, JSON header (padded to 4 bytes), then
+ * every Float32Array field back to back in header order.
+ */
+export function encodeCraneKeyframes(data) {
+    const header = { chunks: [] }
+    const arrays = []
+    let floatOffset = 0
+
+    for (const [key, value] of Object.entries(data)) {
+        if (value instanceof Float32Array) {
+            header.chunks.push({ name: key, offset: floatOffset, length: value.length })
+            arrays.push(value)
+            floatOffset += value.length
+        } else {
+            header[key] = value
+        }
+    }
+
+    const json = new TextEncoder().encode(JSON.stringify(header))
+    const headerLength = Math.ceil(json.length / 4) * 4
+    const dataOffset = 8 + headerLength
+    const buffer = new ArrayBuffer(dataOffset + floatOffset * 4)
+
+    const words = new Uint32Array(buffer, 0, 2)
+    words[0] = MAGIC
+    words[1] = headerLength
+    new Uint8Array(buffer, 8, headerLength).fill(0x20).set(json)
+
+    const floats = new Float32Array(buffer, dataOffset)
+    for (let i = 0; i < arrays.length; i++) {
+        floats.set(arrays[i], header.chunks[i].offset)
+    }
+
+    return buffer
+}
+
+// Inverse of encodeCraneKeyframes - throws if the buffer isn't a keyframe asset
+export function decodeCraneKeyframes(buffer) {
+    if (buffer.byteLength < 8 || new Uint32Array(buffer, 0, 1)[0] !== MAGIC) {
+        throw new Error('Not a crane keyframe asset')
+    }
+
+    const headerLength = new Uint32Array(buffer, 4, 1)[0]
+    const { chunks, ...data } = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)))
+    const floats = new Float32Array(buffer, 8 + headerLength)
+
+    for (const chunk of chunks) {
+        data[chunk.name] = floats.subarray(chunk.offset, chunk.offset + chunk.length)
+    }
+
+    return data
+}
+
+// Texel rows are this wide; every keyframe is laid out back to back in particle order
+export const KEYFRAME_TEXTURE_WIDTH = 2048
+
+// Pack all keyframe positions into a float texture that's uploaded once
+export function createKeyframeTexture({ count, keyframeCount, positions }) {
+    const texelCount = count * keyframeCount
+    const height = Math.ceil(texelCount / KEYFRAME_TEXTURE_WIDTH)
+    const data = new Float32Array(KEYFRAME_TEXTURE_WIDTH * height * 4)
+
+    for (let i = 0; i < texelCount; i++) {
+        data[i * 4] = positions[i * 3]
+        data[i * 4 + 1] = positions[i * 3 + 1]
+        data[i * 4 + 2] = positions[i * 3 + 2]
+        data[i * 4 + 3] = 1
+    }
+
+    const texture = new THREE.DataTexture(data, KEYFRAME_TEXTURE_WIDTH, height, THREE.RGBAFormat, THREE.FloatType)
+    texture.needsUpdate = true
+    return texture
+}
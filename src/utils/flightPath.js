@@ -0,0 +1,42 @@
+import * as THREE from 'three'
+
+/**
+ * Flight path through an ordered list of section states. Each state's
+ * `position` is a waypoint; optional `via` points shape the flight from that
+ * section towards the next. Rotations are splined through the waypoints only.
+ *
+ * getPose(progress, ...) maps 0..1 across all sections to the position,
+ * rotation and path tangent, with section i sitting at progress i / (n - 1).
+ */
+export function createFlightPath(states) {
+    const points = []
+    const waypointIndices = []
+
+    states.forEach((state, i) => {
+        waypointIndices.push(points.length)
+        points.push(new THREE.Vector3(...state.position))
+        if (i < states.length - 1) {
+            state.via?.forEach((point) => points.push(new THREE.Vector3(...point)))
+        }
+    })
+
+    const curve = new THREE.CatmullRomCurve3(points, false, 'centripetal')
+    const rotationCurve = new THREE.CatmullRomCurve3(states.map((state) => new THREE.Vector3(...state.rotation)))
+    const segments = points.length - 1
+    const sections = states.length - 1
+
+    return {
+        curve,
+
+        getPose(progress, position, rotation, tangent) {
+            const clamped = THREE.MathUtils.clamp(progress, 0, 1)
+            const scaled = clamped * sections
+            const section = Math.min(Math.floor(scaled), sections - 1)
+            const t = THREE.MathUtils.lerp(waypointIndices[section], waypointIndices[section + 1], scaled - section) / segments
+
+            curve.getPoint(t, position)
+            curve.getTangent(t, tangent)
+            rotationCurve.getPoint(clamped, rotation)
+        }
+    }
+}
@@ -0,0 +1,114 @@
+import * as THREE from 'three'
+import gsap from 'gsap'
+import './shaderChunks'
+
+// Shapes EtherealParticles can morph its helix into, selectable per section via the state
+// table's `formation` and `morph` (0 = pure helix, 1 = fully formed). Each maps the strand /
+// progress / random attributes onto its own layout, so any formation works with any helix props.
+// torus = ring of strands wrapped around a tilted ring, ribbon = flat wave band,
+// vortex = funnel spinning faster towards its narrow end, starfield = scattered drifting shell,
+// flock = one cloud per strand wandering around each other
+export const FORMATIONS = ['helix', 'torus', 'ribbon', 'vortex', 'starfield', 'flock']
+
+// GLSL for the helix vertex shader - formations are blended by weight so sections can
+// crossfade them. Needs uTime and uStrandCount.
+export const formationShader = `
+uniform float uFormations[${FORMATIONS.length - 1}]; // weights: torus, ribbon, vortex, starfield, flock
+
+#include <shader_constants>
+#include <rotation>
+#include <simplex_noise>
+
+vec3 formationHash(vec2 p) {
+    vec3 q = vec3(dot(p, vec2(127.1, 311.7)), dot(p, vec2(269.5, 183.3)), dot(p, vec2(419.2, 371.9)));
+    return fract(sin(q) * 43758.5453);
+}
+
+vec3 torusFormation(float progress, float strand, float random) {
+    float around = progress * TAU + uTime * 0.05;
+    float tube = strand / uStrandCount * TAU + progress * TAU * 8.0 + uTime * 0.3;
+    float tubeRadius = 1.0 + random * 0.4;
+    float ring = 4.5 + tubeRadius * cos(tube);
+    return rotateX(1.1) * vec3(ring * cos(around), ring * sin(around), tubeRadius * sin(tube));
+}
+
+vec3 ribbonFormation(float progress, float strand, float random) {
+    float x = (progress - 0.5) * 16.0;
+    float across = (strand + random) / uStrandCount - 0.5;
+    float y = sin(x * 0.6 + uTime * 0.5) * 1.2 + across * 2.5;
+    float z = sin(x * 0.4 + uTime * 0.3) * 1.5 + across * sin(x * 0.8 + uTime * 0.4) * 1.5;
+    return vec3(x, y, z);
+}
+
+vec3 vortexFormation(float progress, float strand, float random) {
+    float radius = mix(0.3, 5.5, progress * progress) + (random - 0.5) * 0.4;
+    float angle = strand / uStrandCount * TAU + progress * TAU * 3.0 - uTime * 0.6 / (0.3 + progress);
+    return vec3(radius * cos(angle), (progress - 0.5) * 12.0, radius * sin(angle));
+}
+
+vec3 starfieldFormation(float progress, float strand, float random) {
+    vec3 h = formationHash(vec2(progress * 97.0 + strand, random * 53.0));
+    float theta = h.x * TAU + uTime * 0.01;
+    float phi = acos(h.y * 2.0 - 1.0);
+    float radius = 5.0 + h.z * 9.0;
+    return vec3(sin(phi) * cos(theta), cos(phi), sin(phi) * sin(theta)) * radius;
+}
+
+vec3 flockFormation(float progress, float strand, float random) {
+    float phase = strand * 1.7;
+    vec3 center = vec3(sin(uTime * 0.3 + phase) * 3.5, cos(uTime * 0.23 + phase * 1.3) * 2.0, sin(uTime * 0.17 + phase * 0.7) * 2.5);
+    vec3 offset = normalize(formationHash(vec2(progress * 61.0, strand + random)) - 0.5) * 1.6 * sqrt(random);
+    // Noise keeps the cloud shifting like birds inside a flock
+    offset += vec3(
+        snoise(offset + vec3(uTime * 0.2, 0.0, phase)),
+        snoise(offset + vec3(0.0, uTime * 0.2, phase + 10.0)),
+        snoise(offset + vec3(phase + 20.0, 0.0, uTime * 0.2))
+    ) * 0.6;
+    return center + offset;
+}
+
+// Blend the helix position towards the weighted formations (weights add up to at most 1)
+vec3 applyFormations(vec3 helixPos, float progress, float strand, float random) {
+    float total = uFormations[0] + uFormations[1] + uFormations[2] + uFormations[3] + uFormations[4];
+    if (total <= 0.0) return helixPos;
+
+    vec3 pos = helixPos * max(1.0 - total, 0.0);
+    if (uFormations[0] > 0.0) pos += torusFormation(progress, strand, random) * uFormations[0];
+    if (uFormations[1] > 0.0) pos += ribbonFormation(progress, strand, random) * uFormations[1];
+    if (uFormations[2] > 0.0) pos += vortexFormation(progress, strand, random) * uFormations[2];
+    if (uFormations[3] > 0.0) pos += starfieldFormation(progress, strand, random) * uFormations[3];
+    if (uFormations[4] > 0.0) pos += flockFormation(progress, strand, random) * uFormations[4];
+    return pos;
+}
+`
+
+// Weights for uFormations - the chosen formation at the morph amount (the helix is the rest)
+export function formationWeights(formation, morph, target = []) {
+    const index = FORMATIONS.indexOf(formation)
+    for (let i = 0; i < FORMATIONS.length - 1; i++) {
+        target[i] = i === index - 1 ? morph : 0
+    }
+    return target
+}
+
+export function createFormationUniforms(state) {
+    return {
+        uFormations: { value: formationWeights(state.formation, state.morph) }
+    }
+}
+
+export function tweenFormationUniforms(uniforms, state, vars) {
+    gsap.to(uniforms.uFormations.value, { endArray: formationWeights(state.formation, state.morph), ...vars })
+}
+
+const fromWeights = []
+const toWeights = []
+
+export function blendFormationUniforms(uniforms, from, to, t) {
+    gsap.killTweensOf(uniforms.uFormations.value)
+    formationWeights(from.formation, from.morph, fromWeights)
+    formationWeights(to.formation, to.morph, toWeights)
+    uniforms.uFormations.value.forEach((_, i) => {
+        uniforms.uFormations.value[i] = THREE.MathUtils.lerp(fromWeights[i], toWeights[i], t)
+    })
+}
@@ -0,0 +1,102 @@
+import * as THREE from 'three'
+import gsap from 'gsap'
+
+// Pointer interaction modes, selectable per section via the state tables' `pointer`
+// entry: { mode, radius (world units), strength }.
+// repel = push away, attract = pull in, swirl = spin around the pointer,
+// wake = push away from a trail of recent pointer positions that fades out
+export const POINTER_MODES = ['repel', 'attract', 'swirl', 'wake']
+
+// Trail points kept for the wake mode
+export const WAKE_POINTS = 8
+// Seconds for a wake point to fade to ~37% strength
+const WAKE_DECAY = 0.6
+// Pointer travel (world units) before a new wake point is dropped
+const WAKE_SPACING = 0.4
+
+// GLSL for the vertex shaders - modes are blended by weight so sections can crossfade them
+export const pointerInteractionShader = `
+uniform vec4 uPointerModes;       // weights: x = repel, y = attract, z = swirl, w = wake
+uniform float uPointerRadius;
+uniform float uPointerStrength;
+uniform vec3 uWake[${WAKE_POINTS}];  // xy = trail point (world), z = remaining strength
+
+vec3 pointerDisplacement(vec3 pos, vec3 center) {
+    vec3 offset = pos - center;
+    float dist = length(offset.xy);
+    float influence = smoothstep(uPointerRadius, 0.0, dist) * uPointerStrength;
+    vec3 dir = normalize(offset);
+
+    vec3 displacement = dir * influence * uPointerModes.x;
+    // Attraction eases off close in so particles don't collapse onto the pointer
+    displacement -= dir * influence * min(dist, 1.0) * uPointerModes.y;
+    displacement += vec3(-dir.y, dir.x, 0.0) * influence * uPointerModes.z;
+
+    if (uPointerModes.w > 0.0) {
+        for (int i = 0; i < ${WAKE_POINTS}; i++) {
+            vec2 wakeOffset = pos.xy - uWake[i].xy;
+            float wakeDist = max(length(wakeOffset), 0.0001);
+            float wakeInfluence = smoothstep(uPointerRadius * 0.5, 0.0, wakeDist) * uWake[i].z;
+            displacement.xy += wakeOffset / wakeDist * wakeInfluence * uPointerStrength * uPointerModes.w;
+        }
+    }
+
+    return displacement;
+}
+`
+
+// One-hot mode weights for uPointerModes
+export function pointerModeWeights(mode, target = new THREE.Vector4()) {
+    const index = Math.max(POINTER_MODES.indexOf(mode), 0)
+    return target.set(0, 0, 0, 0).setComponent(index, 1)
+}
+
+export function createPointerUniforms(pointer) {
+    return {
+        uPointerModes: { value: pointerModeWeights(pointer.mode) },
+        uPointerRadius: { value: pointer.radius },
+        uPointerStrength: { value: pointer.strength },
+        uWake: { value: Array.from({ length: WAKE_POINTS }, () => new THREE.Vector3()) }
+    }
+}
+
+// Returns the tweens, so a caller can move them onto its own timeline
+export function tweenPointerUniforms(uniforms, pointer, vars) {
+    const weights = pointerModeWeights(pointer.mode)
+    return [
+        gsap.to(uniforms.uPointerModes.value, { x: weights.x, y: weights.y, z: weights.z, w: weights.w, ...vars }),
+        gsap.to(uniforms.uPointerRadius, { value: pointer.radius, ...vars }),
+        gsap.to(uniforms.uPointerStrength, { value: pointer.strength, ...vars })
+    ]
+}
+
+const fromWeights = new THREE.Vector4()
+const toWeights = new THREE.Vector4()
+
+export function blendPointerUniforms(uniforms, from, to, t) {
+    gsap.killTweensOf([uniforms.uPointerModes.value, uniforms.uPointerRadius, uniforms.uPointerStrength])
+    uniforms.uPointerModes.value.lerpVectors(pointerModeWeights(from.mode, fromWeights), pointerModeWeights(to.mode, toWeights), t)
+    uniforms.uPointerRadius.value = THREE.MathUtils.lerp(from.radius, to.radius, t)
+    uniforms.uPointerStrength.value = THREE.MathUtils.lerp(from.strength, to.strength, t)
+}
+
+// Records the pointer's recent path into the uWake ring, fading older points each frame
+export function createWakeTrail(uniform) {
+    const last = new THREE.Vector2()
+    let head = 0
+    let started = false
+
+    return {
+        update(position, delta) {
+            const fade = Math.exp(-delta / WAKE_DECAY)
+            uniform.value.forEach((point) => { point.z *= fade })
+
+            if (!started || last.distanceTo(position) > WAKE_SPACING) {
+                uniform.value[head].set(position.x, position.y, started ? 1 : 0)
+                head = (head + 1) % WAKE_POINTS
+                last.copy(position)
+                started = true
+            }
+        }
+    }
+}
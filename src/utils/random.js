@@ -0,0 +1,5 @@
+// Simple seeded random for deterministic particle values (same seed -> same value in 0..1)
+export function seededRandom(seed) {
+    const x = Math.sin(seed * 12.9898) * 43758.5453
+    return x - Math.floor(x)
+}
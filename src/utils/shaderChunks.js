@@ -0,0 +1,183 @@
+import * as THREE from 'three'
+
+// Shared GLSL, registered with three's ShaderChunk so any material can pull a chunk in with
+// `#include <name>`. Chunks are include-guarded, so one can include another (curl_noise needs
+// simplex_noise) and a shader can include both without redefinitions.
+// Feature chunks that come with uniforms and JS helpers (pointer, shockwaves, simulation)
+// stay next to those helpers and are interpolated into the shaders instead.
+
+const constants = `
+#ifndef CHUNK_CONSTANTS
+#define CHUNK_CONSTANTS
+#ifndef PI
+#define PI 3.14159265359
+#endif
+#define TAU 6.28318530718
+#endif
+`
+
+// Rotation matrices about each axis (right-handed, angle in radians)
+const rotation = `
+#ifndef CHUNK_ROTATION
+#define CHUNK_ROTATION
+mat3 rotateX(float angle) {
+    float c = cos(angle);
+    float s = sin(angle);
+    return mat3(1.0, 0.0, 0.0, 0.0, c, -s, 0.0, s, c);
+}
+
+mat3 rotateY(float angle) {
+    float c = cos(angle);
+    float s = sin(angle);
+    return mat3(c, 0.0, s, 0.0, 1.0, 0.0, -s, 0.0, c);
+}
+
+mat3 rotateZ(float angle) {
+    float c = cos(angle);
+    float s = sin(angle);
+    return mat3(c, -s, 0.0, s, c, 0.0, 0.0, 0.0, 1.0);
+}
+
+// Rotate a 2D point about the origin
+vec2 rotate2D(vec2 p, float angle) {
+    float c = cos(angle);
+    float s = sin(angle);
+    return vec2(p.x * c - p.y * s, p.x * s + p.y * c);
+}
+#endif
+`
+
+// 3D simplex noise (Ashima Arts / Stefan Gustavson), roughly -1..1
+const simplexNoise = `
+#ifndef CHUNK_SIMPLEX_NOISE
+#define CHUNK_SIMPLEX_NOISE
+vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
+vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+float snoise(vec3 v) {
+    const vec2 C = vec2(1.0/6.0, 1.0/3.0);
+    const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+
+    vec3 i = floor(v + dot(v, C.yyy));
+    vec3 x0 = v - i + dot(i, C.xxx);
+
+    vec3 g = step(x0.yzx, x0.xyz);
+    vec3 l = 1.0 - g;
+    vec3 i1 = min(g.xyz, l.zxy);
+    vec3 i2 = max(g.xyz, l.zxy);
+
+    vec3 x1 = x0 - i1 + C.xxx;
+    vec3 x2 = x0 - i2 + C.yyy;
+    vec3 x3 = x0 - D.yyy;
+
+    i = mod289(i);
+    vec4 p = permute(permute(permute(
+        i.z + vec4(0.0, i1.z, i2.z, 1.0))
+        + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+        + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+    float n_ = 0.142857142857;
+    vec3 ns = n_ * D.wyz - D.xzx;
+
+    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+
+    vec4 x_ = floor(j * ns.z);
+    vec4 y_ = floor(j - 7.0 * x_);
+
+    vec4 x = x_ *ns.x + ns.yyyy;
+    vec4 y = y_ *ns.x + ns.yyyy;
+    vec4 h = 1.0 - abs(x) - abs(y);
+
+    vec4 b0 = vec4(x.xy, y.xy);
+    vec4 b1 = vec4(x.zw, y.zw);
+
+    vec4 s0 = floor(b0)*2.0 + 1.0;
+    vec4 s1 = floor(b1)*2.0 + 1.0;
+    vec4 sh = -step(h, vec4(0.0));
+
+    vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy;
+    vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww;
+
+    vec3 p0 = vec3(a0.xy, h.x);
+    vec3 p1 = vec3(a0.zw, h.y);
+    vec3 p2 = vec3(a1.xy, h.z);
+    vec3 p3 = vec3(a1.zw, h.w);
+
+    vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2,p2), dot(p3,p3)));
+    p0 *= norm.x;
+    p1 *= norm.y;
+    p2 *= norm.z;
+    p3 *= norm.w;
+
+    vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
+    m = m * m;
+    return 42.0 * dot(m*m, vec4(dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3)));
+}
+#endif
+`
+
+// Curl of three offset simplex noise fields - divergence-free, so it swirls without clumping
+const curlNoise = `
+#ifndef CHUNK_CURL_NOISE
+#define CHUNK_CURL_NOISE
+#include <simplex_noise>
+
+vec3 curlNoise(vec3 p) {
+    const float e = 0.1;
+    vec3 dx = vec3(e, 0.0, 0.0);
+    vec3 dy = vec3(0.0, e, 0.0);
+    vec3 dz = vec3(0.0, 0.0, e);
+
+    float x0 = snoise(p - dy + vec3(31.4)) - snoise(p + dy + vec3(31.4));
+    float x1 = snoise(p - dz + vec3(57.2)) - snoise(p + dz + vec3(57.2));
+    float y0 = snoise(p - dz) - snoise(p + dz);
+    float y1 = snoise(p - dx + vec3(31.4)) - snoise(p + dx + vec3(31.4));
+    float z0 = snoise(p - dx + vec3(57.2)) - snoise(p + dx + vec3(57.2));
+    float z1 = snoise(p - dy) - snoise(p + dy);
+
+    return vec3(x0 - x1, y0 - y1, z0 - z1) / (2.0 * e);
+}
+#endif
+`
+
+// The hero helix - strands evenly spaced around a vertical axis
+const helix = `
+#ifndef CHUNK_HELIX
+#define CHUNK_HELIX
+#include <shader_constants>
+
+// Angle around the axis of a point progress (0-1) along a strand, turns = full rotations per strand
+float helixAngle(float progress, float strand, float strandCount, float turns) {
+    return progress * turns * TAU + strand / strandCount * TAU;
+}
+
+// Point on the helix at the given angle and radius, progress 0-1 spread over height around y = 0
+vec3 helixPoint(float angle, float radius, float progress, float height) {
+    return vec3(radius * cos(angle), (progress - 0.5) * height, radius * sin(angle));
+}
+#endif
+`
+
+// Gentle undulation of the paper sheet (EtherealPaper and the crane's fold), p in sheet units
+const paperWave = `
+#ifndef CHUNK_PAPER_WAVE
+#define CHUNK_PAPER_WAVE
+float paperElevation(vec2 p, float time) {
+    return sin(p.x * 2.0 + time) * 0.2 + sin(p.y * 1.5 + time * 0.5) * 0.2;
+}
+#endif
+`
+
+export const SHADER_CHUNKS = {
+    shader_constants: constants,
+    rotation,
+    simplex_noise: simplexNoise,
+    curl_noise: curlNoise,
+    helix,
+    paper_wave: paperWave
+}
+
+// Registered on import - shaders using these chunks import this module for the side effect
+Object.assign(THREE.ShaderChunk, SHADER_CHUNKS)
@@ -0,0 +1,28 @@
+import { seededRandom } from './random'
+
+/**
+ * Assigns every crane particle a point on a flat paper sheet (uv 0..1), for the origami
+ * fold. Particles are sorted into columns by wingspan (x) and each column into rows by
+ * height (y), so neighbours on the crane stay neighbours on the sheet and the fold reads
+ * as paper creasing rather than noise. The seed jitters each particle inside its cell.
+ *
+ * positions = one crane pose (count * 3), e.g. the first keyframe.
+ */
+export function createSheetUvs(positions, count, seed = 1) {
+    const columns = Math.ceil(Math.sqrt(count))
+    const order = Array.from({ length: count }, (_, i) => i)
+    order.sort((a, b) => positions[a * 3] - positions[b * 3])
+
+    const uvs = new Float32Array(count * 2)
+    for (let c = 0; c * columns < count; c++) {
+        const column = order.slice(c * columns, (c + 1) * columns)
+        column.sort((a, b) => positions[a * 3 + 1] - positions[b * 3 + 1])
+
+        column.forEach((index, row) => {
+            uvs[index * 2] = (c + seededRandom(seed + index * 2)) / columns
+            uvs[index * 2 + 1] = (row + seededRandom(seed + index * 2 + 1)) / column.length
+        })
+    }
+
+    return uvs
+}
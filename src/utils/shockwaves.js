@@ -0,0 +1,50 @@
+import * as THREE from 'three'
+
+// Shockwaves that can overlap - the oldest is replaced when all are in use
+export const MAX_SHOCKWAVES = 4
+
+// GLSL for the vertex shaders (needs uTime declared first). Each shockwave expands from
+// its origin; as the front passes, particles are kicked outward and spring back.
+export const shockwaveShader = `
+uniform vec4 uShockwaves[${MAX_SHOCKWAVES}]; // xyz = origin (world), w = uTime it started
+
+// Wavefront speed in world units per second
+const float SHOCKWAVE_SPEED = 6.0;
+// Spring-back rate - each particle's push peaks 1 / damping seconds after the wavefront hits
+const float SHOCKWAVE_DAMPING = 4.0;
+
+vec3 shockwaveDisplacement(vec3 pos, float strength) {
+    vec3 displacement = vec3(0.0);
+    for (int i = 0; i < ${MAX_SHOCKWAVES}; i++) {
+        vec3 offset = pos - uShockwaves[i].xyz;
+        float dist = max(length(offset), 0.0001);
+        float t = uTime - uShockwaves[i].w - dist / SHOCKWAVE_SPEED;
+        if (t <= 0.0) continue;
+
+        // Critically damped impulse, normalised to peak at 1
+        float impulse = t * SHOCKWAVE_DAMPING * exp(1.0 - t * SHOCKWAVE_DAMPING);
+        float falloff = 1.0 / (1.0 + dist * dist * 0.15);
+        displacement += offset / dist * impulse * falloff * strength;
+    }
+    return displacement;
+}
+`
+
+// Start times far in the past so idle slots have fully decayed
+export function createShockwaveUniforms() {
+    return {
+        uShockwaves: { value: Array.from({ length: MAX_SHOCKWAVES }, () => new THREE.Vector4(0, 0, 0, -1e4)) }
+    }
+}
+
+// Writes new shockwaves into the uShockwaves ring
+export function createShockwaveEmitter(uniform) {
+    let next = 0
+
+    return {
+        emit(origin, time) {
+            uniform.value[next].set(origin.x, origin.y, origin.z, time)
+            next = (next + 1) % MAX_SHOCKWAVES
+        }
+    }
+}
@@ -1,7 +1,19 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import bakeCraneKeyframes from './plugins/bakeCraneKeyframes.js'
+import validateExperienceConfig from './plugins/validateExperienceConfig.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    validateExperienceConfig({
+      config: 'src/config/experience.json',
+      content: 'src/components/UI/ContentSections.jsx',
+    }),
+    bakeCraneKeyframes({
+      model: 'models/crane-flying/gisheregrus_nigricollis.glb',
+      output: 'models/crane-flying/gisheregrus_nigricollis.keyframes.bin',
+    }),
+  ],
 })